@@ -0,0 +1,34 @@
+// Runs some Epitran `pre` rule files on words and compares the result with Epitran's, which applies
+// each rule in turn, consuming its environments. Run from the root of the repository:
+// node misc-functions/epitran-rule-check.js
+const {RuleProcessor} = require('../tries--with-transliterator.js');
+
+const cases = {
+    'rus-Cyrl': [
+        // The rule for йо ends with a trailing comment
+        ['йогурт', 'йёгурт'],
+        ['объём', 'обйём'],
+        ['пьеса', 'пьеса'],
+        ['мать', 'мать'],
+    ],
+    'deu-Latn': [
+        ['stein', 'schtein'],
+        ['tag', 'tak'],
+        ['sonne', '<zed>onnə'],
+        ['nation', 'naazion'],
+    ],
+};
+
+let failures = 0;
+for (const [code, words] of Object.entries(cases)) {
+    const ruleProcessor = new RuleProcessor();
+    ruleProcessor.loadRuleFile(code, 'preprocessor');
+    for (const [word, expected] of words) {
+        const actual = ruleProcessor.process(word);
+        if (actual === expected) continue;
+        failures++;
+        console.log(`${code}: ${word} gives ${actual}, Epitran gives ${expected}`);
+    }
+}
+console.log(failures ? `${failures} differences from Epitran` : 'All rules match Epitran');
+process.exitCode = failures ? 1 : 0;
@@ -18,7 +18,9 @@ function writeFileAsync(fileName, dataStr) {
 
 }
 
-async function combineIpaAndWikiDictionaries() {
+// Merges the IPA dictionaries in found-data/translations with the WikiPron data. Run from this folder;
+// name languages to merge only those, e.g. `node ipa-wiki-dictionary-merge.js fi de`
+async function combineIpaAndWikiDictionaries(languageCodes) {
     const translations = [
         'de.txt',
         'en_UK.txt',
@@ -27,7 +29,16 @@ async function combineIpaAndWikiDictionaries() {
         'fr_FR.txt',
         'sv.txt',
         'is.txt',
-        'fi.txt'
+        'fi.txt',
+        'zh_hans.txt',
+        'zh_hant.txt',
+        'yue.txt',
+        'jpn_hira.txt',
+        'ko.txt',
+        'vi_N.txt',
+        'vi_C.txt',
+        'vi_S.txt',
+        'fa.txt'
     ];
 
     const wiki = [
@@ -38,16 +49,29 @@ async function combineIpaAndWikiDictionaries() {
         'fre_phonetic.tsv',
         'swe_phonetic.tsv',
         'ice_phonetic.tsv',
-        'fin_phonetic.tsv'
+        'fin_phonetic.tsv',
+        // WikiPron has no Chinese data
+        null,
+        null,
+        null,
+        'jpn_hira_phonetic.tsv',
+        'kor_phonetic.tsv',
+        // Each Vietnamese dialect has its own data
+        'vie_hanoi_phonetic.tsv',
+        'vie_hue_phonetic.tsv',
+        'vie_hcmc_phonetic.tsv',
+        'per_phonetic.tsv'
     ];
 
     for (let i = 0; i < translations.length; i++) {
         const [languageCode] = translations[i].split('.');
+        if(languageCodes.length && !languageCodes.includes(languageCode)) continue;
         console.log('~~ ' + languageCode + ' ~~')
+        // Some languages, like German and Japanese, only have WikiPron data, and Chinese has none
         const tResponse = loadFile('../found-data/translations/' + translations[i]) || '';
-        const wResponse = loadFile('../found-data/wikipron-tsv/' + wiki[i]) || '';
-        if(!tResponse) throw new Error('Not found response');
-        const tLines = tResponse.split(/\r?\n/).map(line => {
+        const wResponse = (wiki[i] && loadFile('../found-data/wikipron-tsv/' + wiki[i])) || '';
+        if(!tResponse && !wResponse) throw new Error('Not found response');
+        const tLines = tResponse.split(/\r?\n/).filter(line => line.trim()).map(line => {
             const [word, translation] = line.split(/\t/)
             return [word, translation, 'ipa'];
         });
@@ -59,9 +83,10 @@ async function combineIpaAndWikiDictionaries() {
             return arr;
         }, []);
         console.log(tLines.length, wLines.length)
+        const tWords = new Set(tLines.map(t => t[0]));
         const wLinesToAdd = [];
         for(const [word, ...rest] of wLines) {
-            if(tLines.find(t => t[0] === word)) continue;
+            if(tWords.has(word)) continue;
             wLinesToAdd.push([word, ...rest])
         }
         let dataStr = '';
@@ -77,7 +102,7 @@ async function combineIpaAndWikiDictionaries() {
     }
 }
 
-combineIpaAndWikiDictionaries().then()
+combineIpaAndWikiDictionaries(process.argv.slice(2)).then()
 
 // Note: all
 // "de" = "German",
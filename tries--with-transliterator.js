@@ -19,6 +19,104 @@ function loadFile(file) {
     }
 }
 
+/**
+ * Returns a deterministic 32-bit hash of the given string (FNV-1a).
+ *
+ * @param {string} str - The string to hash.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * The symbol marking a word boundary in sandhi rules. It is distinct from `#`, which marks the
+ * edges of the phrase.
+ * @type {string}
+ */
+const SANDHI_BOUNDARY = '=';
+
+/**
+ * The directory under `processors/rules` that holds each type of rule file.
+ * @type {Object<string, string>}
+ */
+const ruleDirectories = {
+    preprocessor: 'preprocessors',
+    postprocessor: 'postprocessors',
+    sandhi: 'sandhi',
+};
+
+/**
+ * How many times a rule is applied at most in iterate-until-stable mode, so that a rule that keeps
+ * changing the word, e.g. an insertion that recreates its own environment, still ends.
+ * @type {number}
+ */
+const MAX_RULE_ITERATIONS = 100;
+
+/**
+ * Built-in strategies for choosing between the pronunciation variants stored on a CharNode.
+ * Every strategy is a factory returning a selector. A selector receives the candidate phonetics
+ * and a context object ({word, index, previous, next, language, node}) and returns the phonetic to use.
+ *
+ * @type {Object<string, function(...*): function(string[], Object): string>}
+ */
+const variantStrategies = {
+    /**
+     * Always takes the first listed variant.
+     */
+    first: () => phonetics => phonetics[0],
+
+    /**
+     * Takes the variant with the fewest characters.
+     */
+    shortest: () => phonetics => phonetics.reduce((a, b) => (b.length < a.length ? b : a)),
+
+    /**
+     * Prefers strong (unreduced) forms: the variant with the fewest reduced vowels,
+     * favouring one that carries a primary stress mark when tied.
+     */
+    strong: () => phonetics => {
+        const score = p => (p.match(/[əɐ]/gu) || []).length * 2 - (p.includes('ˈ') ? 1 : 0);
+        return phonetics.reduce((a, b) => (score(b) < score(a) ? b : a));
+    },
+
+    /**
+     * Prefers a variant that came from the given dictionary source, e.g. 'ipa' or 'wiki'.
+     *
+     * @param {string} source - The preferred source tag.
+     */
+    source: source => (phonetics, {node}) =>
+        phonetics.find(p => node.sourceOf(p) === source) || phonetics[0],
+
+    /**
+     * Picks a pseudo-random variant. The choice depends only on the seed, the word and its
+     * position, so translating the same text twice gives the same result.
+     *
+     * @param {number|string} [seed=0] - The seed for the random choice.
+     */
+    seeded: (seed = 0) => (phonetics, {word, index}) =>
+        phonetics[hashString(`${seed}:${word}:${index}`) % phonetics.length],
+};
+
+/**
+ * Resolves a variant strategy option into a selector function.
+ *
+ * @param {string|function(string[], Object): string} strategy - The name of a built-in strategy
+ *        taking no arguments, or a selector callback.
+ * @returns {function(string[], Object): string} The selector function.
+ * @throws {Error} If the strategy is not a function or a known strategy name.
+ */
+function resolveVariantStrategy(strategy) {
+    if (typeof strategy === 'function') return strategy;
+    if (Object.prototype.hasOwnProperty.call(variantStrategies, strategy)) return variantStrategies[strategy]();
+    throw new Error(`Unknown variant strategy: ${strategy}`);
+}
+
 /**
  * Represents a node in a trie data structure that stores a character, the phonetics
  * associated with that character, the word formed by that character and its predecessors,
@@ -37,6 +135,12 @@ class CharNode {
      */
     _phonetics = new Set();
 
+    /**
+     * The source tag of each phonetic, e.g. 'ipa' or 'wiki'.
+     * @type {Object<string, ?string>}
+     */
+    _sources = {};
+
     /**
      * The word formed by this character and its predecessors.
      * @type {?string}
@@ -95,13 +199,25 @@ class CharNode {
         return this._nextCharsLevel;
     }
 
+    /**
+     * Returns the source tag of the given phonetic.
+     *
+     * @param {string} phonetic - The phonetic to look up.
+     * @returns {?string} The source tag, or null if the phonetic has no known source.
+     */
+    sourceOf(phonetic) {
+        return this._sources[phonetic] || null;
+    }
+
     /**
      * Adds a phonetic to the Set of phonetics associated with this character.
      *
      * @param {string} phonetic - The phonetic to add.
+     * @param {?string} [source=null] - Where the phonetic came from, e.g. 'ipa' or 'wiki'.
      */
-    addPhonetic(phonetic) {
+    addPhonetic(phonetic, source = null) {
         this._phonetics.add(phonetic);
+        if (source && !this._sources[phonetic]) this._sources[phonetic] = source;
     }
 
     /**
@@ -135,6 +251,24 @@ class Trie {
      */
     _loadedDictionaries = {};
 
+    /**
+     * The normalizer applied to dictionaries as they are loaded, and to text before it is looked up.
+     *
+     * @type {UnicodeNormalizer}
+     * @private
+     */
+    _unicodeNormalizer = defaultUnicodeNormalizer;
+
+    /**
+     * Constructs a new Trie.
+     *
+     * @param {Object} [loadedDictionaries={}] - Already loaded dictionaries keyed by language code.
+     *        Pass the same object to several Tries to share their dictionaries.
+     */
+    constructor(loadedDictionaries = {}) {
+        this._loadedDictionaries = loadedDictionaries;
+    }
+
     /**
      * Gets the first characters level of the currently loaded language dictionary.
      *
@@ -144,13 +278,24 @@ class Trie {
         return this._loadedDictionaries[this._currentLanguageCode];
     }
 
+    /**
+     * Sets the normalizer applied to dictionaries and text. Set it before loading a dictionary, and
+     * do not share loaded dictionaries between Tries with different normalizers.
+     *
+     * @param {UnicodeNormalizer} unicodeNormalizer - The normalizer to use.
+     */
+    set unicodeNormalizer(unicodeNormalizer) {
+        this._unicodeNormalizer = unicodeNormalizer;
+    }
+
     /**
      * Adds a word and its phonetic pronunciation(s) to the Trie.
      *
      * @param {string} word - The word to be added.
      * @param {string} phonetic - The phonetic pronunciation(s) of the word to be added, separated by a comma and a space.
+     * @param {?string} [source=null] - Where the pronunciation(s) came from, e.g. 'ipa' or 'wiki'.
      */
-    addWord(word, phonetic) {
+    addWord(word, phonetic, source = null) {
         const charsArr = word.split('');
         let currentCharLevel = this.firstCharsLevel;
         let currentCharNode;
@@ -168,7 +313,7 @@ class Trie {
         } while (charsArr.length);
         const phoneticOptions = phonetic.split(', ');
         for (const phoneticOption of phoneticOptions) {
-            currentCharNode.addPhonetic(phoneticOption);
+            currentCharNode.addPhonetic(phoneticOption, source);
         }
         currentCharNode.setWord(word);
     }
@@ -270,6 +415,20 @@ class TrieStepperAbstract extends Trie {
      */
     _result = [];
 
+    /**
+     * The position and origin of each entry in `_result`, as offsets into the prepared text.
+     * @type {Array<{start: number, end: number, type: string}>}
+     * @private
+     */
+    _spans = [];
+
+    /**
+     * The text as it was passed in, before normalizing and lowercasing.
+     * @type {?string}
+     * @private
+     */
+    _sourceText = null;
+
     /**
      * The search term to look for in the Trie.
      * @type {string|null}
@@ -284,6 +443,20 @@ class TrieStepperAbstract extends Trie {
      */
     _prosody = 85;
 
+    /**
+     * The selector used to choose between pronunciation variants.
+     * @type {function(string[], Object): string}
+     * @private
+     */
+    _variantSelector = variantStrategies.first();
+
+    /**
+     * A selector overriding `_variantSelector` for the duration of a single translation.
+     * @type {?function(string[], Object): string}
+     * @private
+     */
+    _callVariantSelector = null;
+
     /**
      * Gets the current position of the cursor in the search term.
      * @type {number}
@@ -309,14 +482,22 @@ class TrieStepperAbstract extends Trie {
      * @readonly
      */
     get result() {
-        return this._result.map(r =>
+        return this.outputs.join('');
+    }
+
+    /**
+     * Gets the output string of each entry in the result.
+     * @type {string[]}
+     * @readonly
+     */
+    get outputs() {
+        return this._result.map((r, i) =>
             r instanceof CharNode
-                ? [...r.phonetics][0]
+                ? this.selectPhonetic(i)
                 : r,
-        ).join('');
+        );
     }
 
-
     /**
      * Gets the raw result of the search in the Trie, as an array of objects containing the word and its phonetics or a character.
      * @type {Array}
@@ -324,9 +505,11 @@ class TrieStepperAbstract extends Trie {
      */
     get resultRaw() {
         return this._result.map(
-            r => r instanceof CharNode
-                ? {phonetics: [...r.phonetics], word: r.word}
-                : {char: r},
+            r => {
+                if (!(r instanceof CharNode)) return {char: r};
+                const phonetics = this.candidatePhonetics(r);
+                return {phonetics, sources: phonetics.map(p => r.sourceOf(p)), word: r.word};
+            },
         );
     }
 
@@ -336,9 +519,9 @@ class TrieStepperAbstract extends Trie {
      * @readonly
      */
     get pollyResult() {
-        const ssmlStr = this._result.map(r => {
+        const ssmlStr = this._result.map((r, i) => {
             if (r instanceof CharNode) {
-                const cleanedText = [...r.phonetics][0].replace('/', '');
+                const cleanedText = this.selectPhonetic(i).replace('/', '');
                 return `<phoneme alphabet='ipa' ph='${cleanedText}'/>`;
             }
             return escapeSsml(r);
@@ -349,14 +532,23 @@ class TrieStepperAbstract extends Trie {
     }
 
     /**
-     * Set the text to be translated. Adds extra spaces to the beginning and end of the string, and converts it to lowercase.
+     * Set the text to be translated. Converts it to lowercase.
      *
      * @param {string} text - The text to be translated.
      * @returns {void}
      */
     set text(text) {
-        // Todo: remove need for extra spaces;
-        this._text = typeof text === 'string' ? ' ' + text.toLowerCase() + ' ' : null;
+        this._text = typeof text === 'string' ? this.prepareText(text) : null;
+    }
+
+    /**
+     * Prepares text for stepping by converting it to lowercase.
+     *
+     * @param {string} text - The text to prepare.
+     * @returns {string} The prepared text.
+     */
+    prepareText(text) {
+        return text.toLowerCase();
     }
 
     /**
@@ -369,18 +561,140 @@ class TrieStepperAbstract extends Trie {
         this._prosody = value;
     }
 
+    /**
+     * Set the strategy used to choose between pronunciation variants.
+     *
+     * @param {string|function(string[], Object): string} strategy - The name of a built-in strategy
+     *        (see `variantStrategies`), or a selector callback.
+     * @returns {void}
+     */
+    set variantStrategy(strategy) {
+        this._variantSelector = resolveVariantStrategy(strategy);
+    }
+
+    /**
+     * Chooses the phonetic to output for the CharNode at the given index of the result.
+     *
+     * @param {number} index - The index of the CharNode in the result.
+     * @returns {string} The selected phonetic.
+     */
+    selectPhonetic(index) {
+        const node = this._result[index];
+        return this.selectNodePhonetic(node, {
+            word: node.word,
+            index,
+            previous: this.neighbouringWord(index, -1),
+            next: this.neighbouringWord(index, 1),
+            language: this._currentLanguageCode,
+        });
+    }
+
+    /**
+     * Chooses the phonetic to output for the given CharNode using the active variant strategy.
+     *
+     * @param {CharNode} node - The node to choose a phonetic for.
+     * @param {Object} context - The context passed to the variant selector.
+     * @returns {string} The selected phonetic.
+     */
+    selectNodePhonetic(node, context) {
+        const phonetics = this.candidatePhonetics(node);
+        const selector = this._callVariantSelector || this._variantSelector;
+        const selected = selector(phonetics, {...context, node});
+        return typeof selected === 'string' ? selected : phonetics[0];
+    }
+
+    /**
+     * Returns the phonetics of the given CharNode that may be used in the result.
+     *
+     * @param {CharNode} node - The node to get the phonetics of.
+     * @returns {string[]} The usable phonetics.
+     */
+    candidatePhonetics(node) {
+        return [...node.phonetics];
+    }
+
+    /**
+     * Finds the nearest word in the result before or after the given index.
+     *
+     * @param {number} index - The index to search from.
+     * @param {number} direction - -1 to search backwards, 1 to search forwards.
+     * @returns {?string} The neighbouring word, or null if there is none.
+     */
+    neighbouringWord(index, direction) {
+        for (let i = index + direction; i >= 0 && i < this._result.length; i += direction) {
+            const r = this._result[i];
+            if (r instanceof CharNode) return r.word;
+            if (r.length > 1) return r.replace(/#/gu, '');
+        }
+        return null;
+    }
+
     /**
      * Translates the given text using the TrieStepperAbstract and returns the result.
      * @param {string} text - The text to translate.
+     * @param {Object} [options] - Translation options.
+     * @param {string|function(string[], Object): string} [options.variantStrategy] - A variant
+     *        strategy to use for this call only.
      * @returns {string} The translated text.
      * @throws {Error} If the input text is not a string.
      */
-    translateText(text) {
+    translateText(text, options = {}) {
+        return this.runWithOptions(text, options, () => this.result.trim());
+    }
+
+    /**
+     * Runs the stepper over the given text with per-call options applied, and returns
+     * whatever the callback reads from the finished run.
+     *
+     * @param {string} text - The text to translate.
+     * @param {Object} options - Translation options for this call.
+     * @param {function(): *} read - Reads the output from the stepper once it has run.
+     * @returns {*} The value returned by `read`.
+     * @throws {Error} If the input text is not a string.
+     */
+    runWithOptions(text, options, read) {
         if (typeof text !== 'string') throw new Error('Text must be a string');
-        this._text = ' ' + text.toLowerCase() + ' '; // Todo: remove need for spaces;
-        this.run();
-        const result = this.result;
-        return result.trim();
+        this._sourceText = text;
+        this._text = this.prepareText(this.normalizeText(text));
+        this.applyCallOptions(options);
+        try {
+            this.run();
+            return read();
+        } finally {
+            this.clearCallOptions();
+        }
+    }
+
+    /**
+     * Normalizes text before it is prepared for stepping, bringing it into the same Unicode form as
+     * the dictionary. Steppers that also expand parts of the text override this.
+     *
+     * @param {string} text - The text to normalize.
+     * @returns {string} The normalized text.
+     */
+    normalizeText(text) {
+        return this._unicodeNormalizer.normalizeText(text);
+    }
+
+    /**
+     * Applies options that only last for a single translation.
+     *
+     * @param {Object} options - Translation options for this call.
+     * @returns {void}
+     */
+    applyCallOptions(options) {
+        this._callVariantSelector = options.variantStrategy
+            ? resolveVariantStrategy(options.variantStrategy)
+            : null;
+    }
+
+    /**
+     * Removes the options applied by `applyCallOptions`.
+     *
+     * @returns {void}
+     */
+    clearCallOptions() {
+        this._callVariantSelector = null;
     }
 
     /**
@@ -431,19 +745,13 @@ class TrieStepperAbstract extends Trie {
         this._lastResultCursor = null;
         this._currentNode = null;
         this._cursor = 0;
+        this._lastAddedCursor = undefined;
         this._result = [];
+        this._spans = [];
         this._text = null;
+        this._sourceText = null;
         this._foundChars = false;
     }
-
-    /**
-     * Returns whether the given character is a letter or not.
-     * @param {string} str - The character to test.
-     * @returns {boolean} True if the character is a letter, false otherwise.
-     */
-    isLetter(str) {
-        return /\p{L}/u.test(str);
-    }
 }
 
 /**
@@ -455,327 +763,5037 @@ class TrieWordStepper extends TrieStepperAbstract {
     _currentWord = '';
 
     /**
-     * Adds an orthography stepper to the trie word stepper.
-     * @param {TrieOrthographyStepper} orthographyStepper - An orthography stepper to add.
+     * The warnings raised while adding the current word, e.g. by the orthography stepper.
+     * @type {string[]}
+     * @private
      */
-    addOrthographyStepper(orthographyStepper) {
-        this._orthographyStepper = orthographyStepper;
-    }
+    _wordWarnings = [];
 
     /**
-     * Runs the trie word stepper.
-     * Throws an error if no text has been set before running.
+     * The compound splitter used to decompose words that are not in the dictionary.
+     * @type {?CompoundSplitter}
+     * @private
      */
-    run() {
-        if (typeof this._text !== 'string') throw new Error('Set some text before running');
-        this._currentLevel = this.firstCharsLevel;
-        while (this._cursor < this._text.length) {
-            const char = this._text[this._cursor];
-            if (char in this._currentLevel &&
-                (this._foundChars || !this.isLetter(this._text[this._cursor - 1]))) {
-                this._foundChars = true;
-                this._currentNode = this._currentLevel[char];
-                this._currentLevel = this._currentNode.nextCharsLevel;
-                if (this._currentNode.word && !this.isLetter(this._text[this._cursor + 1])) {
-                    this._lastNodeWithResult = this._currentNode;
-                    this._lastResultCursor = this._cursor;
-                }
-                this._cursor++;
-            } else if (this._lastNodeWithResult) {
-                this._result.push(this._lastNodeWithResult);
-                this._cursor = this._lastResultCursor + 1;
-                this._lastAddedCursor = this._cursor;
-                this.reset();
-            } else {
-                for (let i = this._lastAddedCursor; i <= this._cursor; i++) {
-                    const char = this._text[i];
-                    if (!this.isLetter(char)) {
-                        this._result.push(char);
-                        continue;
-                    }
-                    this._currentWord += char;
-                    if (!this.isLetter(this._text[i + 1])) {
-                        if (this._orthographyStepper) {
-                            this._currentWord = this._orthographyStepper.translateText(
-                                this._currentWord);
-                            this._orthographyStepper.clear();
-                        }
-                        this._result.push('#' + this._currentWord + '#');
-                        this._currentWord = '';
-                    }
-                }
-                this._lastAddedCursor = this._cursor + 1;
-                this._cursor++;
-                this.reset();
-            }
-        }
-    }
+    _compoundSplitter = null;
 
     /**
-     * Loads a dictionary into the trie data structure.
-     * @param {string} dictionary - The dictionary to load.
+     * The resolver that chooses the reading of heteronyms from their context.
+     * @type {?HeteronymResolver}
+     * @private
      */
-    loadDictionary(dictionary) {
-        this._currentLanguageCode = dictionary;
-        if (this.hasDictionary(dictionary)) return;
-        this._loadedDictionaries[dictionary] = {};
-        const response = loadFile(`./combined-dictionaries/${dictionary}.txt`);
-        const lines = response.split(/\r?\n/);
-        for (const line of lines) {
-            const [word, phonetic] = line.split(/\t/);
-            if (!(word && phonetic)) continue;
-            this.addWord(word.toLowerCase(), phonetic);
-        }
-    }
-}
+    _heteronymResolver = null;
 
-/**
- * A class that represents a trie data structure for orthography (spelling)
- * lookup and conversion. This class extends the `TrieStepperAbstract` class,
- * adding the ability to preprocess and postprocess text based on language-specific
- * rules.
- *
- * @extends {TrieStepperAbstract}
- */
-class TrieOrthographyStepper extends TrieStepperAbstract {
     /**
-     * A map of rule preprocessor objects for each language.
-     * @type {Object.<string, RuleProcessor>}
+     * The suffix stripper used to derive words that are not in the dictionary from their stems.
+     * @type {?SuffixStripper}
      * @private
      */
-    _rulePreprocessors = {};
+    _suffixStripper = null;
 
     /**
-     * A map of rule postprocessor objects for each language.
-     * @type {Object.<string, RuleProcessor>}
+     * The rule processor used for connected-speech (sandhi) rules across word boundaries.
+     * @type {?RuleProcessor}
      * @private
      */
-    _rulePostprocessors = {};
+    _sandhiProcessor = null;
 
     /**
-     * Returns the result of the trie traversal, with any necessary
-     * language-specific preprocessing and postprocessing applied.
+     * The liaison component used to link words in connected speech.
+     * @type {?FrenchLiaison}
+     * @private
+     */
+    _liaison = null;
+
+    /**
+     * Which liaisons are made: 'none', 'standard' or 'formal'.
      * @type {string}
-     * @readonly
+     * @private
      */
-    get result() {
-        let result = this._result.map(r =>
-            r instanceof CharNode
-                ? [...r.phonetics][0]
-                : r,
-        ).join('');
-        if (this._currentLanguageCode in this._rulePreprocessors) {
-            result = this._rulePostprocessors[this._currentLanguageCode].process(result);
-        }
-        return result;
-    }
+    _liaisonMode = 'standard';
 
     /**
-     * Adds a rule preprocessor for the given language.
-     * @param {string} languageCode - The language code for which to add the processor.
+     * A liaison mode overriding `_liaisonMode` for the duration of a single translation.
+     * @type {?string}
+     * @private
      */
-    addRulePreprocessorForLanguage(languageCode) {
-        const ruleProcessor = new RuleProcessor();
-        ruleProcessor.loadRuleFile(languageCode, 'preprocessor');
-        this._rulePreprocessors[languageCode] = ruleProcessor;
-    }
+    _callLiaisonMode = null;
 
     /**
-     * Adds a rule postprocessor for the given language.
-     * @param {string} languageCode - The language code for which to add the processor.
+     * How tones are written: 'letters' (˧˥) or 'numbers' (³⁵).
+     * @type {string}
+     * @private
      */
-    addRulePostprocessorForLanguage(languageCode) {
-        const ruleProcessor = new RuleProcessor();
-        ruleProcessor.loadRuleFile(languageCode, 'postprocessor');
-        this._rulePostprocessors[languageCode] = ruleProcessor;
-    }
+    _toneFormat = 'letters';
 
     /**
-     * Runs the trie traversal, applying any necessary language-specific preprocessing.
+     * A tone format overriding `_toneFormat` for the duration of a single translation.
+     * @type {?string}
+     * @private
      */
-    run() {
-        if (typeof this._text !== 'string') throw new Error('Set some text before running');
+    _callToneFormat = null;
+
+    /**
+     * Reads and rewrites tones in the output.
+     * @type {ToneLetters}
+     * @private
+     */
+    _toneLetters = new ToneLetters();
+
+    /**
+     * The current level of the lowercase fallback path through the Trie. Words are matched with
+     * their exact casing first, and with their lowercase form when the exact form is not found.
+     * @type {?object}
+     * @private
+     */
+    _currentLowerLevel = null;
+
+    /**
+     * The tokenizer that decides where words start and end.
+     * @type {Tokenizer}
+     * @private
+     */
+    _tokenizer = new Tokenizer();
+
+    /**
+     * The index of the word each position of the text belongs to, or -1 for whitespace and punctuation.
+     * @type {number[]}
+     * @private
+     */
+    _wordIds = [];
+
+    /**
+     * The normalizer that expands numbers, dates and the like into words before lookup.
+     * @type {?TextNormalizer}
+     * @private
+     */
+    _textNormalizer = null;
+
+    /**
+     * The expansions made by the normalizer in the current text, in order. Offsets are into the
+     * normalized text and into the text before expansion, which `_sourceOffsets` maps onto the
+     * original text.
+     * @type {Array<{start: number, end: number, sourceStart: number, sourceEnd: number, text: string}>}
+     * @private
+     */
+    _expansions = [];
+
+    /**
+     * The offset in the original text of each character of the Unicode-normalized text, with one
+     * more entry for the end of the text.
+     * @type {number[]}
+     * @private
+     */
+    _sourceOffsets = [];
+
+    /**
+     * The dictionary sources to trust, or null to trust every source.
+     * @type {?string[]}
+     * @private
+     */
+    _trustedSources = null;
+
+    /**
+     * Trusted sources overriding `_trustedSources` for the duration of a single translation.
+     * @type {?string[]}
+     * @private
+     */
+    _callTrustedSources = null;
+
+    /**
+     * Set the dictionary sources to trust, e.g. ['ipa']. Entries from other sources are ignored,
+     * so words only found in untrusted sources fall back to the orthography stepper.
+     *
+     * @param {?string[]} sources - The sources to trust, or null to trust every source.
+     * @returns {void}
+     */
+    set trustedSources(sources) {
+        this._trustedSources = sources;
+    }
+
+    /**
+     * Returns the phonetics of the given CharNode that come from a trusted source.
+     *
+     * @param {CharNode} node - The node to get the phonetics of.
+     * @returns {string[]} The trusted phonetics.
+     */
+    candidatePhonetics(node) {
+        const sources = this._callTrustedSources || this._trustedSources;
+        const phonetics = [...node.phonetics];
+        if (!sources) return phonetics;
+        return phonetics.filter(p => sources.includes(node.sourceOf(p)));
+    }
+
+    /**
+     * Gets one record per token of the translated text, with the token's offsets in the original text.
+     * Consecutive whitespace and punctuation are grouped into a single passthrough token, and the words
+     * a number was expanded into are grouped into a single normalized token spanning the digits. Tokens
+     * of tonal languages list the tone of each syllable, and words in right-to-left scripts have the
+     * direction 'rtl'. Words whose translation raised warnings, e.g. a guessed stress, list them.
+     * Heteronyms give the reading chosen for them and the reason for it (see `heteronymChoice`).
+     * @type {Array<{surface: string, start: number, end: number, ipa: string, alternatives: string[], type: string, headword?: string, tones?: string[], direction?: string, warnings?: string[], heteronym?: Object}>}
+     * @readonly
+     */
+    get tokens() {
+        const tokens = [];
+        const letterOutputs = this.connectedOutputs;
+        const outputs = letterOutputs.map(output => this.formatTones(output));
+        for (let i = 0; i < this._result.length; i++) {
+            const r = this._result[i];
+            const {start, end, type, parts, warnings} = this._spans[i];
+            const previous = tokens[tokens.length - 1];
+            if (type === 'passthrough' && previous && previous.type === 'passthrough' && previous.end === start) {
+                previous.end = end;
+                previous.surface += this._text.slice(start, end);
+                previous.ipa += outputs[i];
+                previous.alternatives = [previous.ipa];
+                continue;
+            }
+            const ipa = outputs[i].replace(/^#|#$/gu, '');
+            const tones = this._toneLetters.tones(letterOutputs[i]);
+            const heteronym = this.heteronymChoice(i);
+            tokens.push({
+                surface: this._text.slice(start, end),
+                start,
+                end,
+                ipa,
+                alternatives: r instanceof CharNode
+                    ? this.candidatePhonetics(r).map(phonetic => this.formatTones(phonetic))
+                    : [ipa],
+                type,
+                ...(r instanceof CharNode ? {headword: r.word} : {}),
+                ...(parts ? {parts} : {}),
+                ...(tones.length ? {tones: tones.map(tone => this.formatTones(tone))} : {}),
+                ...(this.isRightToLeft(this._text.slice(start, end)) ? {direction: 'rtl'} : {}),
+                ...(warnings ? {warnings} : {}),
+                ...(heteronym ? {heteronym} : {}),
+            });
+        }
+        return this.sourceTokens(tokens);
+    }
+
+    /**
+     * Returns whether the given text is written right to left, going by its first letter.
+     *
+     * @param {string} text - The text to test.
+     * @returns {boolean} True if the first letter is in a right-to-left script, e.g. Hebrew or Arabic.
+     */
+    isRightToLeft(text) {
+        return /^\P{L}*[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u.test(text);
+    }
+
+    /**
+     * Maps tokens of the normalized text back onto the original text. Tokens outside expansions are
+     * shifted to their original offsets; tokens inside an expansion are merged into one token whose
+     * surface is the original text, e.g. "1984", with the expanded words as its parts. Surfaces are
+     * taken from the original text, so they keep its Unicode form.
+     *
+     * @param {Array<Object>} tokens - The tokens with offsets into the normalized text.
+     * @returns {Array<Object>} The tokens with offsets into the original text.
+     */
+    sourceTokens(tokens) {
+        const source = (start, end) => {
+            const sourceStart = this._sourceOffsets[start];
+            const sourceEnd = this._sourceOffsets[end];
+            return {surface: this._sourceText.slice(sourceStart, sourceEnd), start: sourceStart, end: sourceEnd};
+        };
+        const sourceTokens = [];
+        let shift = 0;
+        let e = 0;
+        let group = null;
+        for (const token of tokens) {
+            while (e < this._expansions.length && token.start >= this._expansions[e].end) {
+                const {start, end, sourceStart, sourceEnd} = this._expansions[e++];
+                shift += (sourceEnd - sourceStart) - (end - start);
+                group = null;
+            }
+            const expansion = this._expansions[e];
+            if (!expansion || token.end <= expansion.start) {
+                sourceTokens.push({...token, ...source(token.start + shift, token.end + shift)});
+                continue;
+            }
+            if (!group) {
+                group = {
+                    ...source(expansion.sourceStart, expansion.sourceEnd),
+                    ipa: '',
+                    alternatives: [],
+                    type: 'normalized',
+                    expansion: expansion.text,
+                    parts: [],
+                };
+                sourceTokens.push(group);
+            }
+            group.ipa += token.ipa;
+            group.alternatives = [group.ipa];
+            if (token.type !== 'passthrough') group.parts.push({surface: token.surface, ipa: token.ipa, type: token.type});
+        }
+        return sourceTokens;
+    }
+
+    /**
+     * Gets the output string of each entry in the result, with connected-speech rules applied across
+     * word boundaries and tones written in the tone format of the current call.
+     * @type {string[]}
+     * @readonly
+     */
+    get outputs() {
+        return this.connectedOutputs.map(output => this.formatTones(output));
+    }
+
+    /**
+     * Gets the output string of each entry in the result, with connected-speech rules applied across
+     * word boundaries. Tones are written with tone letters.
+     * @type {string[]}
+     * @readonly
+     */
+    get connectedOutputs() {
+        let outputs = super.outputs;
+        const liaisonMode = this._callLiaisonMode || this._liaisonMode;
+        if (this._liaison && liaisonMode !== 'none') outputs = this.applyLiaison(outputs, liaisonMode);
+        return this._sandhiProcessor ? this.applySandhi(outputs) : outputs;
+    }
+
+    /**
+     * Writes the tones in the given IPA in the tone format of the current call.
+     *
+     * @param {string} ipa - The IPA, with tones as tone letters.
+     * @returns {string} The IPA with its tones in the current tone format.
+     */
+    formatTones(ipa) {
+        return this._toneLetters.format(ipa, this._callToneFormat || this._toneFormat);
+    }
+
+    /**
+     * Set how tones are written in the output of tonal languages such as Vietnamese and Cantonese.
+     *
+     * @param {string} format - 'letters' for Chao tone letters (˧˥), or 'numbers' for tone numbers (³⁵).
+     * @returns {void}
+     * @throws {Error} If the format is not 'letters' or 'numbers'.
+     */
+    set toneFormat(format) {
+        this._toneFormat = this.checkToneFormat(format);
+    }
+
+    /**
+     * Checks that a tone format is one the output can be written in.
+     *
+     * @param {string} format - The tone format.
+     * @returns {string} The format.
+     * @throws {Error} If the format is not 'letters' or 'numbers'.
+     */
+    checkToneFormat(format) {
+        if (!['letters', 'numbers'].includes(format)) throw new Error(`Unknown tone format: ${format}`);
+        return format;
+    }
+
+    /**
+     * Splits the result into phrases. A phrase is a run of words separated only by spaces, tabs or
+     * apostrophes; other punctuation and line breaks end a phrase.
+     *
+     * @param {string[]} outputs - The output string of each entry in the result.
+     * @returns {number[][]} The indices of the words of each phrase.
+     */
+    phrases(outputs) {
+        const phrases = [];
+        let phrase = [];
+        for (let i = 0; i <= outputs.length; i++) {
+            if (i < outputs.length && this._spans[i].type !== 'passthrough') {
+                phrase.push(i);
+                continue;
+            }
+            if (i < outputs.length && /^[^\S\r\n]$|^['’]$/u.test(outputs[i])) continue;
+            if (phrase.length) phrases.push(phrase);
+            phrase = [];
+        }
+        return phrases;
+    }
+
+    /**
+     * Sets the liaison component used to link words in connected speech.
+     * @param {?FrenchLiaison} liaison - The liaison component, or null to disable liaison.
+     */
+    addLiaison(liaison) {
+        this._liaison = liaison;
+    }
+
+    /**
+     * Set which liaisons are made: 'none', 'standard' for obligatory liaisons only, or 'formal' to also
+     * make optional liaisons, as in sung or formal diction.
+     *
+     * @param {string} mode - The liaison mode.
+     * @returns {void}
+     */
+    set liaisonMode(mode) {
+        this._liaisonMode = mode;
+    }
+
+    /**
+     * Applies liaison and enchaînement to each phrase of the output. The undertie after an elided
+     * word is written after its apostrophe, e.g. `k'‿ɛ`.
+     *
+     * @param {string[]} outputs - The output string of each entry in the result.
+     * @param {string} mode - The liaison mode.
+     * @returns {string[]} The outputs with liaison applied.
+     */
+    applyLiaison(outputs, mode) {
+        const result = [...outputs];
+        for (const phrase of this.phrases(outputs)) {
+            const words = phrase.map(i => {
+                const [, open, ipa, close] = outputs[i].match(/^([\/#]?)(.*?)([\/#]?)$/su);
+                const {start, end} = this._spans[i];
+                return {surface: this._text.slice(start, end), ipa, open, close};
+            });
+            this._liaison.apply(words, mode);
+            phrase.forEach((index, i) => {
+                const {open, ipa, close} = words[i];
+                if (ipa.endsWith('‿') && /^['’]$/u.test(outputs[index + 1])) {
+                    result[index] = open + ipa.slice(0, -1) + close;
+                    result[index + 1] = outputs[index + 1] + '‿';
+                } else {
+                    result[index] = open + ipa + close;
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Sets the rule processor used for connected-speech (sandhi) rules across word boundaries.
+     * @param {?RuleProcessor} sandhiProcessor - The rule processor, or null to disable sandhi rules.
+     */
+    addSandhiProcessor(sandhiProcessor) {
+        this._sandhiProcessor = sandhiProcessor;
+    }
+
+    /**
+     * Applies the sandhi rules to each phrase of the output (see `phrases`). The words of a phrase are
+     * joined with `SANDHI_BOUNDARY`, so rules can refer to word boundaries, while `#` marks the edges
+     * of the phrase.
+     *
+     * @param {string[]} outputs - The output string of each entry in the result.
+     * @returns {string[]} The outputs with the sandhi rules applied.
+     */
+    applySandhi(outputs) {
+        const result = [...outputs];
+        for (const phrase of this.phrases(outputs)) {
+            this.applySandhiToPhrase(result, phrase);
+        }
+        return result;
+    }
+
+    /**
+     * Applies the sandhi rules to the words of one phrase, in place.
+     *
+     * @param {string[]} outputs - The output string of each entry in the result.
+     * @param {number[]} indices - The indices of the phrase's words in the outputs.
+     * @returns {void}
+     */
+    applySandhiToPhrase(outputs, indices) {
+        const words = indices.map(i => outputs[i].match(/^([\/#]?)(.*?)([\/#]?)$/su));
+        const phrase = words.map(([, , body]) => body).join(SANDHI_BOUNDARY);
+        const processed = this._sandhiProcessor.process(phrase).split(SANDHI_BOUNDARY);
+        // Leave the phrase alone if a rule removed or added a word boundary
+        if (processed.length !== indices.length) return;
+        indices.forEach((index, i) => {
+            const [, open, , close] = words[i];
+            outputs[index] = open + processed[i] + close;
+        });
+    }
+
+    /**
+     * Translates the given text and returns one record per token, mapping each IPA chunk back to the
+     * characters it came from. The type of each token is 'dictionary' for dictionary hits, 'derived'
+     * for inflected forms of dictionary words, 'compound' for words split into dictionary parts,
+     * 'orthography' for words built by the orthography stepper, 'unknown' for words that could not
+     * be translated, and 'passthrough' for whitespace and punctuation.
+     *
+     * @param {string} text - The text to translate.
+     * @param {Object} [options] - Translation options, as for `translateText`.
+     * @returns {Array<{surface: string, start: number, end: number, ipa: string, alternatives: string[], type: string}>}
+     *          The token records.
+     */
+    translateTokens(text, options = {}) {
+        return this.runWithOptions(text, options, () => this.tokens);
+    }
+
+    /**
+     * Applies options that only last for a single translation.
+     *
+     * @param {Object} options - Translation options for this call.
+     * @param {string[]} [options.trustedSources] - The dictionary sources to trust for this call only.
+     * @param {string} [options.liaison] - The liaison mode for this call only.
+     * @param {string} [options.tones] - The tone format for this call only: 'letters' or 'numbers'.
+     * @returns {void}
+     * @throws {Error} If the tone format is not 'letters' or 'numbers'.
+     */
+    applyCallOptions(options) {
+        // Checked first, so that a bad option leaves no other option of the call behind
+        const toneFormat = options.tones ? this.checkToneFormat(options.tones) : null;
+        super.applyCallOptions(options);
+        this._callTrustedSources = options.trustedSources || null;
+        this._callLiaisonMode = options.liaison || null;
+        this._callToneFormat = toneFormat;
+    }
+
+    /**
+     * Removes the options applied by `applyCallOptions`.
+     *
+     * @returns {void}
+     */
+    clearCallOptions() {
+        super.clearCallOptions();
+        this._callTrustedSources = null;
+        this._callLiaisonMode = null;
+        this._callToneFormat = null;
+    }
+
+    /**
+     * Sets the normalizer that expands numbers, dates and the like into words before lookup.
+     * @param {?TextNormalizer} textNormalizer - The normalizer, or null to leave digits as they are.
+     */
+    addTextNormalizer(textNormalizer) {
+        this._textNormalizer = textNormalizer;
+    }
+
+    /**
+     * Brings the text into the dictionary's Unicode form, then expands numbers, dates, times, Roman
+     * numerals, amounts of money and abbreviations into words, remembering where each character and
+     * each expansion came from in the original text.
+     *
+     * @param {string} text - The text to normalize.
+     * @returns {string} The normalized text.
+     */
+    normalizeText(text) {
+        const unicodeNormalized = this._unicodeNormalizer.normalizeWithOffsets(text);
+        this._sourceOffsets = unicodeNormalized.offsets;
+        if (!this._textNormalizer) {
+            this._expansions = [];
+            return unicodeNormalized.text;
+        }
+        const normalized = this._textNormalizer.normalize(unicodeNormalized.text,
+            (word, exactCase) => this.findEntry(word, exactCase));
+        this._expansions = normalized.expansions;
+        return normalized.text;
+    }
+
+    /**
+     * Prepares text for stepping. The text keeps its casing so that case-distinct dictionary entries
+     * can be told apart.
+     *
+     * @param {string} text - The text to prepare.
+     * @returns {string} The prepared text.
+     */
+    prepareText(text) {
+        return text;
+    }
+
+    /**
+     * Sets the tokenizer that decides where words start and end.
+     * @param {Tokenizer} tokenizer - The tokenizer, or any object with a compatible `segments` method.
+     */
+    addTokenizer(tokenizer) {
+        this._tokenizer = tokenizer;
+    }
+
+    /**
+     * Marks each position of the text with the index of the word it belongs to, as segmented by the
+     * tokenizer, or -1 for whitespace and punctuation.
+     *
+     * @param {string} text - The text to segment.
+     * @returns {number[]} The word index of each position.
+     */
+    indexWords(text) {
+        const wordIds = new Array(text.length).fill(-1);
+        this._tokenizer.segments(text, (segmented, start) => this.matchLengths(segmented, start)).forEach((segment, i) => {
+            if (segment.word) wordIds.fill(i, segment.start, segment.end);
+        });
+        return wordIds;
+    }
+
+    /**
+     * Returns the lengths of the dictionary words that start at the given offset of the text, matched
+     * with their exact casing or in lowercase, as `run` matches them.
+     *
+     * @param {string} text - The text to look in.
+     * @param {number} start - The offset to look from.
+     * @returns {number[]} The lengths of the words found, shortest first.
+     */
+    matchLengths(text, start) {
+        const lengths = [];
+        let level = this.firstCharsLevel;
+        let lowerLevel = this.firstCharsLevel;
+        for (let i = start; i < text.length && (level || lowerLevel); i++) {
+            const exactNode = this.stepLevel(level, text[i]);
+            const lowerNode = this.stepLevel(lowerLevel, text[i].toLowerCase());
+            if ([exactNode, lowerNode].some(node => node && node.word && this.candidatePhonetics(node).length)) {
+                lengths.push(i + 1 - start);
+            }
+            level = exactNode ? exactNode.nextCharsLevel : null;
+            lowerLevel = lowerNode ? lowerNode.nextCharsLevel : null;
+        }
+        return lengths;
+    }
+
+    /**
+     * Returns whether a dictionary match may start at the given position: at the start of a word, or
+     * at whitespace or punctuation that does not directly follow a word.
+     *
+     * @param {number} index - The position to test.
+     * @returns {boolean} True if a match may start at the position.
+     */
+    canStartMatch(index) {
+        const [previous, current] = [this._wordIds[index - 1], this._wordIds[index]];
+        return index <= 0 || previous === -1 || (current !== -1 && current !== previous);
+    }
+
+    /**
+     * Returns whether a dictionary match may end just before the given position: at the end of the
+     * text, or where a word ends and whitespace, punctuation or another word follows.
+     *
+     * @param {number} index - The position after the match.
+     * @returns {boolean} True if a match may end before the position.
+     */
+    canEndMatch(index) {
+        const [previous, current] = [this._wordIds[index - 1], this._wordIds[index]];
+        return index >= this._text.length || current === -1 || (previous !== -1 && current !== previous);
+    }
+
+    /**
+     * Resets the stepping state, including the lowercase fallback path.
+     *
+     * @returns {void}
+     */
+    reset() {
+        super.reset();
+        this._currentLowerLevel = this.firstCharsLevel;
+    }
+
+    /**
+     * Steps through the given characters from the given level of the Trie.
+     *
+     * @param {Object} level - The level to start from.
+     * @param {string} chars - The characters to step through.
+     * @returns {?CharNode} The node reached, or null if the characters are not in the Trie.
+     */
+    stepLevel(level, chars) {
+        let node = null;
+        for (const char of chars) {
+            if (!level || !(char in level)) return null;
+            node = level[char];
+            level = node.nextCharsLevel;
+        }
+        return node;
+    }
+
+    /**
+     * Adds an orthography stepper to the trie word stepper.
+     * @param {TrieOrthographyStepper} orthographyStepper - An orthography stepper to add.
+     */
+    addOrthographyStepper(orthographyStepper) {
+        this._orthographyStepper = orthographyStepper;
+    }
+
+    /**
+     * Runs the trie word stepper.
+     * Throws an error if no text has been set before running.
+     */
+    run() {
+        if (typeof this._text !== 'string') throw new Error('Set some text before running');
+        this._wordIds = this.indexWords(this._text);
+        this._currentLevel = this.firstCharsLevel;
+        this._currentLowerLevel = this.firstCharsLevel;
+        // Step one past the end, so that a pending match or word is added when the text runs out
+        while (this._cursor <= this._text.length) {
+            const char = this._text[this._cursor];
+            const canMatch = char !== undefined && (this._foundChars || this.canStartMatch(this._cursor));
+            const exactNode = canMatch ? this.stepLevel(this._currentLevel, char) : null;
+            const lowerNode = canMatch ? this.stepLevel(this._currentLowerLevel, char.toLowerCase()) : null;
+            if (exactNode || lowerNode) {
+                if (!this._foundChars) this._matchStart = this._cursor;
+                this._foundChars = true;
+                this._currentNode = exactNode || lowerNode;
+                this._currentLevel = exactNode ? exactNode.nextCharsLevel : null;
+                this._currentLowerLevel = lowerNode ? lowerNode.nextCharsLevel : null;
+                const nodeWithResult = [exactNode, lowerNode].find(
+                    node => node && node.word && this.candidatePhonetics(node).length);
+                if (nodeWithResult && this.canEndMatch(this._cursor + 1)) {
+                    this._lastNodeWithResult = nodeWithResult;
+                    this._lastResultCursor = this._cursor;
+                }
+                this._cursor++;
+            } else if (this._lastNodeWithResult) {
+                this._result.push(this._lastNodeWithResult);
+                this._spans.push({start: this._matchStart, end: this._lastResultCursor + 1, type: 'dictionary'});
+                this._cursor = this._lastResultCursor + 1;
+                this._lastAddedCursor = this._cursor;
+                this.reset();
+            } else {
+                for (let i = this._lastAddedCursor || 0; i <= this._cursor && i < this._text.length; i++) {
+                    const char = this._text[i];
+                    if (this._wordIds[i] === -1) {
+                        this._result.push(char);
+                        this._spans.push({start: i, end: i + 1, type: 'passthrough'});
+                        continue;
+                    }
+                    if (!this._currentWord) this._currentWordStart = i;
+                    this._currentWord += char;
+                    if (this.canEndMatch(i + 1)) {
+                        this._wordWarnings = [];
+                        this.addUnknownWord(this._currentWord, this._currentWordStart, i + 1);
+                        if (this._wordWarnings.length) this._spans[this._spans.length - 1].warnings = this._wordWarnings;
+                        this._currentWord = '';
+                    }
+                }
+                this._lastAddedCursor = this._cursor + 1;
+                this._cursor++;
+                this.reset();
+            }
+        }
+    }
+
+    /**
+     * Adds a word that is not in the dictionary to the result. A word written with points or stress
+     * marks that are not in the dictionary is looked up again without them. Hyphenated words are translated part by
+     * part. Other words are derived from a dictionary stem by stripping an inflectional suffix, or
+     * decomposed into dictionary-known parts where possible, otherwise they are translated by the
+     * orthography stepper.
+     *
+     * @param {string} word - The word to add.
+     * @param {number} start - The offset of the word in the prepared text.
+     * @param {number} end - The offset after the word in the prepared text.
+     * @returns {void}
+     */
+    addUnknownWord(word, start, end) {
+        const unmarkedWord = this.stripStressMarks(this._unicodeNormalizer.stripPoints(word));
+        const unmarkedEntry = unmarkedWord !== word ? this.findEntry(unmarkedWord) : null;
+        if (unmarkedEntry) {
+            this._result.push(unmarkedEntry);
+            this._spans.push({start, end, type: 'dictionary'});
+            return;
+        }
+        const hyphenated = this.translateHyphenated(word);
+        if (hyphenated) {
+            this._result.push(hyphenated.ipa);
+            this._spans.push({start, end, type: 'compound', parts: hyphenated.parts});
+            return;
+        }
+        const derived = this.translateDerived(word);
+        if (derived) {
+            this._result.push(derived.ipa);
+            this._spans.push({start, end, type: 'derived', parts: derived.parts});
+            return;
+        }
+        const compound = this.translateCompound(word);
+        if (compound) {
+            this._result.push(compound.ipa);
+            this._spans.push({start, end, type: 'compound', parts: compound.parts});
+            return;
+        }
+        this._result.push('#' + this.translateOrthography(word) + '#');
+        this._spans.push({start, end, type: this._orthographyStepper ? 'orthography' : 'unknown'});
+    }
+
+    /**
+     * Removes the marks that readers' editions add to show the stress of a word: a `+` before a
+     * letter, and an acute accent on a Cyrillic vowel, which the spelling itself never carries.
+     *
+     * @param {string} word - The word.
+     * @returns {string} The word without its stress marks.
+     */
+    stripStressMarks(word) {
+        return word.replace(/\+(?=\p{L})|(?<=\p{Script=Cyrillic})\u0301/gu, '');
+    }
+
+    /**
+     * Translates a word that the tokenizer kept whole across hyphens, e.g. Finnish A-pylväs, by
+     * translating each part on its own and joining them as a compound.
+     *
+     * @param {string} word - The word to translate.
+     * @returns {?{ipa: string, parts: Array<{surface: string, ipa: string, type: string}>}} The
+     *          translated word, or null if the word is not hyphenated.
+     */
+    translateHyphenated(word) {
+        const pieces = word.split(/[-‐‑]/u);
+        if (pieces.length < 2 || pieces.some(piece => !piece)) return null;
+        const parts = pieces.map(piece => {
+            const node = this.findEntry(piece);
+            if (node) return {surface: piece, ipa: this.entryPhonetic(node), type: 'dictionary'};
+            const derived = this.translateDerived(piece);
+            if (derived) return {surface: piece, ipa: derived.ipa.replace(/\//gu, ''), type: 'derived'};
+            const compound = this.translateCompound(piece);
+            if (compound) return {surface: piece, ipa: compound.ipa.replace(/\//gu, ''), type: 'compound'};
+            return {surface: piece, ipa: this.translateOrthography(piece), type: 'orthography'};
+        });
+        return {
+            ipa: '/' + (this._compoundSplitter
+                ? this._compoundSplitter.joinParts(parts)
+                : parts.map(p => p.ipa).join('')) + '/',
+            parts,
+        };
+    }
+
+    /**
+     * Translates a word using the orthography stepper, if there is one. Apostrophes inside the word,
+     * which mark elided letters, are not pronounced. Any warnings the orthography stepper raises are
+     * kept for the word being added.
+     *
+     * @param {string} word - The word to translate.
+     * @returns {string} The translated word, or the word itself if there is no orthography stepper.
+     */
+    translateOrthography(word) {
+        if (!this._orthographyStepper) return word;
+        const result = this._orthographyStepper.translateText(
+            word.replace(/['’ʼ]/gu, ''),
+            {variantStrategy: this._callVariantSelector || this._variantSelector});
+        this._wordWarnings.push(...this._orthographyStepper.warnings);
+        this._orthographyStepper.clear();
+        return result;
+    }
+
+    /**
+     * Explains how the orthography stepper pronounces a word, as `TrieOrthographyStepper.explain` does,
+     * along with the word's dictionary pronunciation if it has one, which a translation would use
+     * instead.
+     *
+     * @param {string} word - The word to explain.
+     * @returns {Object} The derivation, with `word` and `dictionary`, the dictionary pronunciation or null.
+     * @throws {Error} If there is no orthography stepper.
+     */
+    explain(word) {
+        if (!this._orthographyStepper) throw new Error('An orthography stepper is needed to explain a word');
+        const node = this.findEntry(word);
+        return {
+            word,
+            dictionary: node ? this.entryPhonetic(node) : null,
+            ...this._orthographyStepper.explain(word.replace(/['’ʼ]/gu, '')),
+        };
+    }
+
+    /**
+     * Finds the dictionary entry for a word regardless of how it is capitalised, trying the word as
+     * written, then lowercase, then with an initial capital.
+     *
+     * @param {string} word - The word to look up.
+     * @param {boolean} [exactCase=false] - True to only try the word as written, e.g. for an acronym,
+     *        which is not the common word it is spelled like (US is not us).
+     * @returns {?CharNode} The CharNode of the entry, or null if the word is not in the dictionary.
+     */
+    findEntry(word, exactCase = false) {
+        const lowerWord = word.toLowerCase();
+        const forms = exactCase ? [word] : [word, lowerWord, lowerWord.charAt(0).toUpperCase() + lowerWord.slice(1)];
+        for (const form of forms) {
+            const node = this.findCharNode(form);
+            if (node && node.word && this.candidatePhonetics(node).length) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Chooses the phonetic of a dictionary entry used as part of a longer word, without its slashes.
+     *
+     * @param {CharNode} node - The CharNode of the entry.
+     * @returns {string} The selected phonetic.
+     */
+    entryPhonetic(node) {
+        return this.selectNodePhonetic(node, {
+            word: node.word,
+            index: -1,
+            previous: null,
+            next: null,
+            language: this._currentLanguageCode,
+        }).replace(/\//gu, '');
+    }
+
+    /**
+     * Sets the suffix stripper used to derive words that are not in the dictionary from their stems.
+     * @param {?SuffixStripper} suffixStripper - The suffix stripper, or null to disable suffix stripping.
+     */
+    addSuffixStripper(suffixStripper) {
+        this._suffixStripper = suffixStripper;
+    }
+
+    /**
+     * Translates an inflected word by stripping a known suffix, looking up the stem in the dictionary
+     * and appending the suffix's pronunciation.
+     *
+     * @param {string} word - The word to translate.
+     * @returns {?{ipa: string, parts: Array<{surface: string, ipa: string, type: string}>}} The
+     *          translated word, or null if no suffix left a stem that is in the dictionary.
+     */
+    translateDerived(word) {
+        if (!this._suffixStripper) return null;
+        const stripped = this._suffixStripper.strip(word, stem => this.findEntry(stem),
+            node => this.entryPhonetic(node));
+        if (!stripped) return null;
+        const parts = [
+            {surface: stripped.stem, ipa: stripped.stemIpa, type: 'dictionary'},
+            {surface: stripped.suffix, ipa: stripped.ipa, type: 'suffix'},
+        ];
+        return {ipa: '/' + parts.map(p => p.ipa).join('') + '/', parts};
+    }
+
+    /**
+     * Sets the resolver that chooses the reading of heteronyms, e.g. English read, from their context.
+     * @param {?HeteronymResolver} heteronymResolver - The resolver, or null to leave the choice to the
+     *        variant strategy.
+     */
+    addHeteronymResolver(heteronymResolver) {
+        this._heteronymResolver = heteronymResolver;
+    }
+
+    /**
+     * Chooses the phonetic to output for the CharNode at the given index of the result. Heteronyms
+     * are resolved from their context where it decides; other words use the variant strategy.
+     *
+     * @param {number} index - The index of the CharNode in the result.
+     * @returns {string} The selected phonetic.
+     */
+    selectPhonetic(index) {
+        const choice = this.heteronymChoice(index);
+        return choice ? choice.reading : super.selectPhonetic(index);
+    }
+
+    /**
+     * Returns how the reading of the heteronym at the given index of the result was chosen: by a rule
+     * or the bigram model, with the context that decided it, or by the variant strategy ('default') if
+     * the context does not decide.
+     *
+     * @param {number} index - The index of the CharNode in the result.
+     * @returns {?{reading: string, reason: string, context?: string}} The chosen reading and the reason
+     *          for it, or null if the word is not a heteronym with more than one reading.
+     */
+    heteronymChoice(index) {
+        const node = this._result[index];
+        if (!this._heteronymResolver || !(node instanceof CharNode) || !this._heteronymResolver.has(node.word)) return null;
+        const phonetics = this.candidatePhonetics(node);
+        if (phonetics.length < 2) return null;
+        const resolved = this._heteronymResolver.resolve(node.word, phonetics, {
+            previous: this.neighbouringToken(index, -1),
+            next: this.neighbouringToken(index, 1),
+        });
+        return resolved || {reading: super.selectPhonetic(index), reason: 'default'};
+    }
+
+    /**
+     * Finds the nearest word or punctuation mark in the text before or after the given index of the
+     * result, skipping whitespace.
+     *
+     * @param {number} index - The index to search from.
+     * @param {number} direction - -1 to search backwards, 1 to search forwards.
+     * @returns {?string} The neighbouring word or punctuation mark, lowercase, or null if there is none.
+     */
+    neighbouringToken(index, direction) {
+        for (let i = index + direction; i >= 0 && i < this._spans.length; i += direction) {
+            const text = this._text.slice(this._spans[i].start, this._spans[i].end);
+            if (text.trim()) return text.toLowerCase();
+        }
+        return null;
+    }
+
+    /**
+     * Sets the compound splitter used to decompose words that are not in the dictionary.
+     * @param {?CompoundSplitter} compoundSplitter - The compound splitter, or null to disable decomposition.
+     */
+    addCompoundSplitter(compoundSplitter) {
+        this._compoundSplitter = compoundSplitter;
+    }
+
+    /**
+     * Translates a compound word by splitting it into dictionary-known parts. Parts that are
+     * not in the dictionary are translated by the orthography stepper.
+     *
+     * @param {string} word - The word to translate.
+     * @returns {?{ipa: string, parts: Array<{surface: string, ipa: string, type: string}>}} The
+     *          translated compound, or null if the word could not be decomposed.
+     */
+    translateCompound(word) {
+        if (!this._compoundSplitter) return null;
+        const parts = this._compoundSplitter.split(word, part => this.findEntry(part));
+        if (!parts) return null;
+        const translatedParts = parts.map(part => {
+            switch (part.type) {
+                case 'dictionary':
+                    return {surface: part.surface, ipa: this.entryPhonetic(part.node), type: part.type};
+                case 'linking':
+                    return {surface: part.surface, ipa: part.ipa, type: part.type};
+                default:
+                    return {surface: part.surface, ipa: this.translateOrthography(part.surface), type: 'orthography'};
+            }
+        });
+        return {
+            ipa: '/' + this._compoundSplitter.joinParts(translatedParts) + '/',
+            parts: translatedParts,
+        };
+    }
+
+    /**
+     * Loads a dictionary into the trie data structure.
+     * @param {string} dictionary - The dictionary to load.
+     */
+    loadDictionary(dictionary) {
+        this._currentLanguageCode = dictionary;
+        if (this.hasDictionary(dictionary)) return;
+        this._loadedDictionaries[dictionary] = {};
+        const response = loadFile(`./combined-dictionaries/${dictionary}.txt`);
+        const lines = response ? response.split(/\r?\n/) : [];
+        const casedEntries = [];
+        const pointedEntries = [];
+        for (const line of lines) {
+            const [rawWord, rawPhonetic, source] = line.split(/\t/);
+            if (!(rawWord && rawPhonetic)) continue;
+            const word = this._unicodeNormalizer.normalizeText(rawWord);
+            const phonetic = this._unicodeNormalizer.normalizeIpa(rawPhonetic);
+            this.addWord(word, phonetic, source || null);
+            if (word !== word.toLowerCase()) casedEntries.push([word, phonetic, source || null]);
+            if (word !== this._unicodeNormalizer.stripPoints(word)) pointedEntries.push([word, phonetic, source || null]);
+        }
+        // Make cased headwords reachable from lowercase text, unless a lowercase entry of their own exists
+        for (const [word, phonetic, source] of casedEntries) {
+            const lowerWord = word.toLowerCase();
+            const node = this.findCharNode(lowerWord);
+            if (node && node.word && node.word !== word) continue;
+            this.addWord(lowerWord, phonetic, source);
+            this.findCharNode(lowerWord).setWord(word);
+        }
+        // Likewise make pointed headwords reachable from unpointed text
+        for (const [word, phonetic, source] of pointedEntries) {
+            const unpointedWord = this._unicodeNormalizer.stripPoints(word);
+            const node = this.findCharNode(unpointedWord);
+            if (node && node.word && node.word !== word) continue;
+            this.addWord(unpointedWord, phonetic, source);
+            this.findCharNode(unpointedWord).setWord(word);
+        }
+    }
+}
+
+/**
+ * A class that represents a trie data structure for orthography (spelling)
+ * lookup and conversion. This class extends the `TrieStepperAbstract` class,
+ * adding the ability to preprocess and postprocess text based on language-specific
+ * rules.
+ *
+ * @extends {TrieStepperAbstract}
+ */
+class TrieOrthographyStepper extends TrieStepperAbstract {
+    /**
+     * A map of rule preprocessor objects for each language.
+     * @type {Object.<string, RuleProcessor>}
+     * @private
+     */
+    _rulePreprocessors = {};
+
+    /**
+     * A map of rule postprocessor objects for each language.
+     * @type {Object.<string, RuleProcessor>}
+     * @private
+     */
+    _rulePostprocessors = {};
+
+    /**
+     * A map of syllabifiers for each language, or null for languages without a syllables file.
+     * @type {Object.<string, ?Syllabifier>}
+     * @private
+     */
+    _syllabifiers = {};
+
+    /**
+     * The warnings raised while translating the current text, e.g. for a stress that had to be guessed.
+     * @type {string[]}
+     * @private
+     */
+    _warnings = [];
+
+    /**
+     * The derivation being recorded by `explain`, or null when translating normally.
+     * @type {?{spelling: string, preprocessor: Array<Object>, postprocessor: Array<Object>}}
+     * @private
+     */
+    _trace = null;
+
+    /**
+     * Constructs a new TrieOrthographyStepper.
+     *
+     * @param {Object} [loadedDictionaries={}] - Already loaded orthography maps keyed by language code.
+     * @param {Object.<string, RuleProcessor>} [rulePreprocessors={}] - Already loaded rule preprocessors.
+     * @param {Object.<string, RuleProcessor>} [rulePostprocessors={}] - Already loaded rule postprocessors.
+     * @param {Object.<string, ?Syllabifier>} [syllabifiers={}] - Already loaded syllabifiers.
+     */
+    constructor(loadedDictionaries = {}, rulePreprocessors = {}, rulePostprocessors = {}, syllabifiers = {}) {
+        super(loadedDictionaries);
+        this._rulePreprocessors = rulePreprocessors;
+        this._rulePostprocessors = rulePostprocessors;
+        this._syllabifiers = syllabifiers;
+    }
+
+    /**
+     * Returns the result of the trie traversal, with any necessary
+     * language-specific preprocessing and postprocessing applied, and
+     * syllable stress marked.
+     * @type {string}
+     * @readonly
+     */
+    get result() {
+        let result = this.outputs.join('');
+        if (this._currentLanguageCode in this._rulePostprocessors) {
+            result = this._rulePostprocessors[this._currentLanguageCode].process(
+                result, this._trace && this._trace.postprocessor);
+        }
+        const syllabifier = this._syllabifiers[this._currentLanguageCode];
+        if (syllabifier) result = syllabifier.apply(result.trim(), this._sourceText || '');
+        // Letters the map has no sound for are shown as they would be written
+        const decomposer = this.decomposer;
+        return decomposer ? decomposer.compose(result) : result;
+    }
+
+    /**
+     * Returns the warnings raised while translating the current text.
+     * @type {string[]}
+     * @readonly
+     */
+    get warnings() {
+        return [...this._warnings];
+    }
+
+    /**
+     * Returns the text as it is pronounced, once the preprocessing rules have been applied, composed
+     * back into the script it is written in, e.g. 궁물 for 국물.
+     * @type {?string}
+     * @readonly
+     */
+    get respelling() {
+        if (typeof this._text !== 'string') return null;
+        const decomposer = this.decomposer;
+        return decomposer ? decomposer.compose(this._text) : this._text;
+    }
+
+    /**
+     * Returns the decomposer for the current language, e.g. for Hangul, or null if its letters are
+     * mapped as they are written.
+     * @type {?HangulJamo}
+     * @readonly
+     */
+    get decomposer() {
+        const languageCode = this._currentLanguageCode || '';
+        return scriptDecomposers[languageCode] || scriptDecomposers[languageCode.split('_')[0]] || null;
+    }
+
+    /**
+     * Prepares text for stepping by converting it to lowercase and decomposing it into the letters
+     * the orthography map is written in.
+     *
+     * @param {string} text - The text to prepare.
+     * @returns {string} The prepared text.
+     */
+    prepareText(text) {
+        const decomposer = this.decomposer;
+        return decomposer ? decomposer.decompose(text.toLowerCase()) : text.toLowerCase();
+    }
+
+    /**
+     * Adds a syllabifier for the given language, if the language has a syllables file.
+     * @param {string} languageCode - The language code for which to add the syllabifier.
+     */
+    addSyllabifierForLanguage(languageCode) {
+        if (languageCode in this._syllabifiers) return;
+        const syllabifier = new Syllabifier();
+        this._syllabifiers[languageCode] = syllabifier.loadSyllableFile(languageCode) ? syllabifier : null;
+    }
+
+    /**
+     * Adds a rule preprocessor for the given language.
+     * @param {string} languageCode - The language code for which to add the processor.
+     */
+    addRulePreprocessorForLanguage(languageCode) {
+        if (languageCode in this._rulePreprocessors) return;
+        const ruleProcessor = new RuleProcessor();
+        ruleProcessor.unicodeNormalizer = this._unicodeNormalizer;
+        ruleProcessor.loadRuleFile(languageCode, 'preprocessor');
+        this._rulePreprocessors[languageCode] = ruleProcessor;
+    }
+
+    /**
+     * Adds a rule postprocessor for the given language.
+     * @param {string} languageCode - The language code for which to add the processor.
+     */
+    addRulePostprocessorForLanguage(languageCode) {
+        if (languageCode in this._rulePostprocessors) return;
+        const ruleProcessor = new RuleProcessor();
+        ruleProcessor.unicodeNormalizer = this._unicodeNormalizer;
+        ruleProcessor.loadRuleFile(languageCode, 'postprocessor');
+        this._rulePostprocessors[languageCode] = ruleProcessor;
+    }
+
+    /**
+     * Runs the trie traversal, applying any necessary language-specific preprocessing.
+     */
+    run() {
+        if (typeof this._text !== 'string') throw new Error('Set some text before running');
+        this.markStress();
+        if (this._trace) this._trace.spelling = this._text;
         if (this._currentLanguageCode in this._rulePreprocessors) {
-            this._text = this._rulePreprocessors[this._currentLanguageCode].process(this._text);
+            this._text = this._rulePreprocessors[this._currentLanguageCode].process(
+                this._text, this._trace && this._trace.preprocessor);
+        }
+        this._currentLevel = this.firstCharsLevel;
+        // Step one past the end, so that a pending match is added when the text runs out
+        while (this._cursor <= this._text.length) {
+            const char = this._text[this._cursor];
+            if (char !== undefined && char in this._currentLevel) {
+                this._currentNode = this._currentLevel[char];
+                this._currentLevel = this._currentNode.nextCharsLevel;
+                // A match cannot end between a letter and its combining marks, unless the map gives
+                // the marks a sound of their own, as with the vowel signs of Indic scripts
+                const next = this._text[this._cursor + 1] || '';
+                if (this._currentNode.word && (!/\p{M}/u.test(next) || next in this.firstCharsLevel)) {
+                    this._lastNodeWithResult = this._currentNode;
+                    this._lastResultCursor = this._cursor;
+                }
+                this._cursor++;
+            } else if (this._lastNodeWithResult) {
+                this._result.push(this._lastNodeWithResult);
+                this._cursor = this._lastResultCursor + 1;
+                this._lastAddedCursor = this._cursor;
+                this.reset();
+            } else {
+                for (let i = this._lastAddedCursor || 0; i <= this._cursor && i < this._text.length; i++) {
+                    this._result.push(this._text[i]);
+                }
+                this._lastAddedCursor = this._cursor + 1;
+                this._cursor++;
+                this.reset();
+            }
+        }
+    }
+
+    /**
+     * Translates a word and returns how its pronunciation was derived, step by step: the spelling the
+     * rules start from, each preprocessor rule that rewrote it, the map segments chosen by the longest
+     * match, each postprocessor rule that rewrote the IPA, and the result once stress is marked. Rules
+     * are given as written, with their file and line.
+     *
+     * @param {string} word - The word to explain.
+     * @returns {{spelling: string, preprocessor: Array<Object>, respelling: string,
+     *          segments: Array<{spelling: string, ipa: string, mapped: boolean}>, mapped: string,
+     *          postprocessor: Array<Object>, ipa: string, warnings: string[]}} The derivation.
+     */
+    explain(word) {
+        this._trace = {spelling: '', preprocessor: [], postprocessor: []};
+        try {
+            const ipa = this.runWithOptions(word, {}, () => this.result.trim());
+            const outputs = this.outputs;
+            const segments = this._result.map((r, i) => (r instanceof CharNode
+                ? {spelling: r.word, ipa: outputs[i], mapped: true}
+                : {spelling: r, ipa: r, mapped: false}));
+            return {
+                spelling: this._trace.spelling,
+                preprocessor: this._trace.preprocessor,
+                respelling: this._text,
+                segments,
+                mapped: outputs.join(''),
+                postprocessor: this._trace.postprocessor,
+                ipa,
+                warnings: this.warnings,
+            };
+        } finally {
+            this._trace = null;
+            this.clear();
+        }
+    }
+
+    /**
+     * Marks the stressed vowel of the text for the preprocessing rules, in languages whose syllables
+     * file asks for it, and warns when the stress of a word of several syllables had to be guessed.
+     *
+     * @returns {void}
+     */
+    markStress() {
+        const syllabifier = this._syllabifiers[this._currentLanguageCode];
+        if (!syllabifier || syllabifier.setting('markSpelling') !== 'yes') return;
+        const {spelling, guessed} = syllabifier.markStress(this._text);
+        if (guessed) this._warnings.push(`No stress marked in ${this._sourceText || this._text}; the stress was guessed`);
+        this._text = spelling;
+    }
+
+    /**
+     * Clears the internal state, including any warnings, ready for a new translation.
+     *
+     * @returns {void}
+     */
+    clear() {
+        super.clear();
+        this._warnings = [];
+    }
+
+    /**
+     * Loads a dictionary into the trie data structure.
+     * @param {string} dictionary - The dictionary to load.
+     */
+    loadDictionary(dictionary) {
+        this._currentLanguageCode = dictionary;
+        if (this.hasDictionary(dictionary)) return;
+        this._loadedDictionaries[dictionary] = {};
+        const epitranCode = epitranImporter.resolve(dictionary);
+        if (epitranCode) {
+            for (const [word, phonetic] of epitranImporter.loadMap(epitranCode)) {
+                this.addWord(this._unicodeNormalizer.normalizeText(word).toLowerCase(),
+                    this._unicodeNormalizer.normalizeIpa(phonetic));
+            }
+            return;
+        }
+        const response = loadFile(`./processors/maps/${dictionary}.txt`);
+        const lines = response ? response.split(/\r?\n/) : [];
+        for (const line of lines) {
+            // A spelling without a pronunciation is silent, as in the Epitran maps
+            const [word, phonetic = ''] = line.split(/\t/);
+            if (!word.trim()) continue;
+            this.addWord(this._unicodeNormalizer.normalizeText(word).toLowerCase(),
+                this._unicodeNormalizer.normalizeIpa(phonetic));
+        }
+    }
+}
+
+/**
+ * A rewrite rule in the Epitran rule syntax: `a -> b / X _ Y` replaces `a` with `b` where it follows `X`
+ * and precedes `Y`. Every part is a regular expression in Python syntax, which is translated for
+ * JavaScript. `0` stands for nothing, so that `0 -> b` inserts and `a -> 0` deletes; `#` stands for
+ * the start of the text in `X` and its end in `Y`. Either environment may be empty. A target with the
+ * named groups `sw1` and `sw2` swaps them (metathesis). A `%` after whitespace starts a comment.
+ */
+class Rule {
+    /**
+     * The string to replace in the word.
+     * @type {string}
+     * @private
+     */
+    _toReplace = '';
+
+    /**
+     * The replacement string to use.
+     * @type {string}
+     * @private
+     */
+    _replacement = '';
+
+    /**
+     * The prefix string to match in the word.
+     * @type {?string}
+     * @private
+     */
+    _prefix = null;
+
+    /**
+     * The suffix string to match in the word.
+     * @type {?string}
+     * @private
+     */
+    _suffix = null;
+
+    /**
+     * Whether the rule swaps the groups `sw1` and `sw2` of its target instead of replacing it.
+     * @type {boolean}
+     * @private
+     */
+    _metathesis = false;
+
+    /**
+     * The compiled pattern of the rule, with the environments as lookbehind and lookahead.
+     * @type {?RegExp}
+     * @private
+     */
+    _regex = null;
+
+    /**
+     * The compiled pattern of the rule with the environments as part of the match, as Epitran has it.
+     * @type {?RegExp}
+     * @private
+     */
+    _consumingRegex = null;
+
+    /**
+     * The rule as it is written, before its symbols are replaced.
+     * @type {string}
+     * @private
+     */
+    _text = '';
+
+    /**
+     * Text after the environment that is not a comment, which is ignored.
+     * @type {string}
+     * @private
+     */
+    _ignoredText = '';
+
+    /**
+     * Where the rule is written, or null if it did not come from a file.
+     * @type {?{file: string, line: number}}
+     * @private
+     */
+    _source = null;
+
+    /**
+     * Creates a new rule from the given string and character groups.
+     * @param {string} rule - The rule string to parse.
+     * @param {Object<string, string>} charGroups - The symbols defined in the rule file, e.g. `::vowel::`,
+     *        with their values.
+     * @param {?{file: string, line: number}} [source=null] - Where the rule is written.
+     * @throws {Error} If the rule uses an undefined symbol or cannot be parsed.
+     */
+    constructor(rule, charGroups, source = null) {
+        // A comment starts at a percent sign after whitespace
+        this._text = rule.replace(/\s[%％].*$/u, '').trim();
+        this._source = source;
+        const line = this.substituteSymbols(this._text, charGroups);
+        const fields = line.match(/^(\S+)\s*->\s*(\S+)\s*\/\s*(\S*)\s*_\s*(\S*)\s*(.*?)\s*$/u);
+        if (!fields) throw new Error(`Cannot parse rule ${this._text}: ${this.syntaxProblem(line)}`);
+        const [, toReplace, replacement, prefix, suffix, ignoredText] = fields;
+        // Epitran ignores text after the environment, so it is kept only to be reported
+        this._ignoredText = ignoredText;
+        if (/(?<!\\)[%％]/u.test(prefix + suffix)) {
+            throw new Error(`Cannot parse rule ${this._text}: the environment has an unescaped "%"; ` +
+                'a comment needs a space before it');
+        }
+
+        // A zero stands for nothing: to replace, it makes an insertion, and as a replacement, a deletion
+        this._toReplace = this.expandClasses(this.translateRegex(toReplace.replace(/0/gu, '')));
+        this._replacement = replacement.replace(/0/gu, '');
+        this._prefix = this.expandClasses(this.translateRegex(prefix.replace(/#/gu, '^')));
+        this._suffix = this.expandClasses(this.translateRegex(suffix.replace(/#/gu, '$')));
+        this._metathesis = /\(\?<sw1>.+\(\?<sw2>/u.test(this._toReplace);
+        try {
+            this._regex = new RegExp(`(?<=${this._prefix})(?<target>${this._toReplace})(?=${this._suffix})`, 'ug');
+            this._consumingRegex = new RegExp(
+                `(?<prefix>${this._prefix})(?<target>${this._toReplace})(?<suffix>${this._suffix})`, 'ug');
+        } catch (e) {
+            throw new Error(`Invalid pattern in rule ${this._text}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Describes what keeps a line from being read as a rule.
+     *
+     * @param {string} line - The line, with its symbols replaced.
+     * @returns {string} The problem, for an error message.
+     */
+    syntaxProblem(line) {
+        if (!line.includes('->')) return 'there is no "->" between the target and the replacement';
+        if (!/^\S+\s*->\s*\S+\s*\//u.test(line)) return 'there is no "/" before the environment';
+        if (!line.split('/').slice(1).join('/').includes('_')) return 'the environment has no "_" for the target';
+        return 'expected "a -> b / X _ Y", with no spaces inside a part';
+    }
+
+    /**
+     * The rule as it is written, before its symbols are replaced.
+     * @type {string}
+     * @readonly
+     */
+    get text() {
+        return this._text;
+    }
+
+    /**
+     * Where the rule is written, or null if it did not come from a file.
+     * @type {?{file: string, line: number}}
+     * @readonly
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * Text after the environment that is not a comment, which is ignored, or an empty string.
+     * @type {string}
+     * @readonly
+     */
+    get ignoredText() {
+        return this._ignoredText;
+    }
+
+    /**
+     * Replaces the symbols in a rule, e.g. `::vowel::`, with their values, until none is left.
+     *
+     * @param {string} rule - The rule.
+     * @param {Object<string, string>} symbols - The symbols and their values.
+     * @returns {string} The rule without symbols.
+     * @throws {Error} If the rule uses a symbol that is not defined.
+     */
+    substituteSymbols(rule, symbols) {
+        let substituted = rule;
+        for (let symbol = substituted.match(/::\w+::/u); symbol; symbol = substituted.match(/::\w+::/u)) {
+            if (!(symbol[0] in symbols)) throw new Error(`Undefined symbol: ${symbol[0]}`);
+            substituted = substituted.split(symbol[0]).join(symbols[symbol[0]]);
+        }
+        return substituted;
+    }
+
+    /**
+     * Translates a regular expression from Python's syntax, which Epitran rules are written in, to
+     * JavaScript's: named groups are written `(?<name>` and `\k<name>`, the word classes `\w`, `\W`, `\b`
+     * and `\d` cover every script as they do in Python, and escaped characters that need no escape lose
+     * the backslash, which JavaScript does not allow with the `u` flag.
+     *
+     * @param {string} pattern - The pattern in Python syntax.
+     * @returns {string} The pattern in JavaScript syntax.
+     */
+    translateRegex(pattern) {
+        const word = '\\p{L}\\p{N}_';
+        const escapes = {
+            w: [`[${word}]`, word],
+            W: [`[^${word}]`, null],
+            d: ['\\p{Nd}', '\\p{Nd}'],
+            D: ['\\P{Nd}', '\\P{Nd}'],
+            b: [`(?:(?<=[${word}])(?![${word}])|(?<![${word}])(?=[${word}]))`, null],
+            B: [`(?:(?<=[${word}])(?=[${word}])|(?<![${word}])(?![${word}]))`, null],
+            A: ['^', null],
+            Z: ['$', null],
+        };
+        let translated = '';
+        let inClass = false;
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\' && i + 1 < pattern.length) {
+                const next = pattern[++i];
+                const escape = escapes[next] && escapes[next][inClass ? 1 : 0];
+                if (escape) {
+                    translated += escape;
+                } else if (/[A-Za-z0-9\^$\\.*+?()[\]{}|/]/u.test(next) || (inClass && next === '-')) {
+                    translated += char + next;
+                } else {
+                    translated += next;
+                }
+                continue;
+            }
+            if (!inClass && pattern.startsWith('(?P<', i)) {
+                translated += '(?<';
+                i += 3;
+                continue;
+            }
+            const backreference = inClass ? null : pattern.slice(i).match(/^\(\?P=(\w+)\)/u);
+            if (backreference) {
+                translated += `\\k<${backreference[1]}>`;
+                i += backreference[0].length - 1;
+                continue;
+            }
+            if (char === '[' && !inClass) {
+                inClass = true;
+                translated += char;
+                if (pattern[i + 1] === '^') translated += pattern[++i];
+                if (pattern[i + 1] === ']') translated += '\\' + pattern[++i];
+                continue;
+            }
+            if (char === ']' && inClass) inClass = false;
+            translated += char;
+        }
+        return translated;
+    }
+
+    /**
+     * Rewrites bracketed classes holding decomposed letters, e.g. from rule files normalized to NFD,
+     * as alternations: a decomposed letter is more than one character, so it cannot stand in a class.
+     * @param {?string} pattern - The pattern to rewrite.
+     * @returns {?string} The rewritten pattern.
+     */
+    expandClasses(pattern) {
+        if (!pattern) return pattern;
+        return pattern.replace(/\[([^\]^][^\]]*)\]/gu, (match, chars) => (/\p{M}/u.test(chars)
+            ? `(?:${chars.match(/\P{M}\p{M}*|\p{M}+/gu).filter(c => c !== '|').join('|')})`
+            : match));
+    }
+
+    /**
+     * The regex pattern for this rule. The environments are lookbehind and lookahead, so they are not
+     * consumed: a match can serve as the environment of the next one, as in `aaa`.
+     * @type {RegExp}
+     */
+    get regex() {
+        return this._regex;
+    }
+
+    /**
+     * The pattern of the target, in JavaScript syntax; empty for an insertion.
+     * @type {string}
+     * @readonly
+     */
+    get target() {
+        return this._toReplace;
+    }
+
+    /**
+     * The replacement; empty for a deletion.
+     * @type {string}
+     * @readonly
+     */
+    get replacement() {
+        return this._replacement;
+    }
+
+    /**
+     * Whether the rule applies wherever its target is found, with no environment on either side.
+     * @type {boolean}
+     * @readonly
+     */
+    get unconditional() {
+        return !this._prefix && !this._suffix;
+    }
+
+    /**
+     * Whether the rule swaps the groups `sw1` and `sw2` of its target instead of replacing it.
+     * @type {boolean}
+     * @readonly
+     */
+    get metathesis() {
+        return this._metathesis;
+    }
+
+    /**
+     * Returns the replacement for a match of this rule.
+     * @param {Object<string, string>} groups - The named groups of the match.
+     * @returns {string} The replacement.
+     * @private
+     */
+    replacementFor(groups) {
+        return this._metathesis ? (groups.sw2 || '') + (groups.sw1 || '') : this._replacement;
+    }
+
+    /**
+     * Applies this rule to the given word simultaneously: every match is found in the word as it was
+     * before the rule, so one replacement cannot create or destroy the environment of another.
+     * @param {string} word - The word to apply the rule to.
+     * @returns {string} The resulting transformed word.
+     */
+    apply(word) {
+        // Groups inside the environments shift the positional groups, so read the named ones
+        return word.replace(this.regex, (...args) => this.replacementFor(args[args.length - 1]));
+    }
+
+    /**
+     * Applies this rule to the given word as Epitran does: the environments are part of each match,
+     * so a match cannot start inside the environment of the one before it, as in `aaa`.
+     * @param {string} word - The word to apply the rule to.
+     * @returns {string} The resulting transformed word.
+     */
+    applyConsuming(word) {
+        return word.replace(this._consumingRegex, (...args) => {
+            const groups = args[args.length - 1];
+            return groups.prefix + this.replacementFor(groups) + groups.suffix;
+        });
+    }
+
+    /**
+     * Applies this rule to the given word sequentially, from left to right: each match is looked for
+     * in the word as rewritten so far, so a replacement can feed or bleed the matches after it.
+     * @param {string} word - The word to apply the rule to.
+     * @returns {string} The resulting transformed word.
+     */
+    applySequentially(word) {
+        const regex = this.regex;
+        let result = word;
+        let match;
+        for (let start = 0; start <= result.length && (match = this.matchFrom(regex, result, start)); ) {
+            const replacement = this.replacementFor(match.groups);
+            result = result.slice(0, match.index) + replacement + result.slice(match.index + match[0].length);
+            // Step past an empty match, e.g. an insertion, so that it is not made again at the same place
+            start = match.index + replacement.length + (match[0].length ? 0 : 1);
+        }
+        return result;
+    }
+
+    /**
+     * Finds the first match of a global regex at or after a position.
+     * @param {RegExp} regex - The regex, with the `g` flag.
+     * @param {string} text - The text to search.
+     * @param {number} start - The position to search from.
+     * @returns {?RegExpExecArray} The match, or null if there is none.
+     * @private
+     */
+    matchFrom(regex, text, start) {
+        regex.lastIndex = start;
+        return regex.exec(text);
+    }
+}
+
+/**
+ * A class that processes words using a set of language rules.
+ */
+class RuleProcessor {
+    /**
+     * The list of rules to be applied to words.
+     * @private
+     * @type {Rule[]}
+     */
+    _rules = [];
+
+    /**
+     * The normalizer applied to rule files as they are loaded.
+     * @private
+     * @type {UnicodeNormalizer}
+     */
+    _unicodeNormalizer = defaultUnicodeNormalizer;
+
+    /**
+     * How each rule is applied, as set in code, or null to follow the rule file. See `application`.
+     * @private
+     * @type {?string}
+     */
+    _application = null;
+
+    /**
+     * Whether each rule is applied again until the word stops changing, as set in code, or null to
+     * follow the rule file.
+     * @private
+     * @type {?boolean}
+     */
+    _iterate = null;
+
+    /**
+     * How each rule is applied, as the rule file's `::application::` setting gives it, or null if it
+     * does not.
+     * @private
+     * @type {?string}
+     */
+    _fileApplication = null;
+
+    /**
+     * Whether each rule is applied again until the word stops changing, as the rule file's
+     * `::iterate::` setting gives it, or null if it does not.
+     * @private
+     * @type {?boolean}
+     */
+    _fileIterate = null;
+
+    /**
+     * How each rule is applied when neither the code nor the rule file says: 'consuming' for the
+     * Epitran rule files, so that they give Epitran's results, and 'simultaneous' for the others.
+     * @private
+     * @type {string}
+     */
+    _defaultApplication = 'simultaneous';
+
+    /**
+     * Sets how each rule is applied. This takes priority over the rule file's `::application::`
+     * setting, whether the file is loaded before or after.
+     * @param {string} application - 'simultaneous', 'sequential' or 'consuming'.
+     * @throws {Error} If the application is none of these.
+     */
+    set application(application) {
+        this._application = this.checkApplication(application);
+    }
+
+    /**
+     * How each rule is applied: 'simultaneous', where every match is found in the word as it was
+     * before the rule; 'sequential', where matches are found from left to right in the word as
+     * rewritten so far; or 'consuming', as in Epitran, where the environments are part of the match,
+     * so that matches cannot overlap. The code's setting comes first, then the rule file's.
+     * @type {string}
+     */
+    get application() {
+        return this._application || this._fileApplication || this._defaultApplication;
+    }
+
+    /**
+     * Sets whether each rule is applied again until the word stops changing. This takes priority
+     * over the rule file's `::iterate::` setting, whether the file is loaded before or after.
+     * @param {boolean} iterate - True to iterate until stable.
+     */
+    set iterate(iterate) {
+        this._iterate = iterate;
+    }
+
+    /**
+     * Whether each rule is applied again until the word stops changing. The code's setting comes
+     * first, then the rule file's.
+     * @type {boolean}
+     */
+    get iterate() {
+        return this._iterate !== null ? this._iterate : Boolean(this._fileIterate);
+    }
+
+    /**
+     * Checks that a way of applying rules is known.
+     *
+     * @param {string} application - The way of applying rules.
+     * @returns {string} The way of applying rules.
+     * @throws {Error} If it is not 'simultaneous', 'sequential' or 'consuming'.
+     */
+    checkApplication(application) {
+        if (!['simultaneous', 'sequential', 'consuming'].includes(application)) {
+            throw new Error(`Unknown rule application: ${application}`);
+        }
+        return application;
+    }
+
+    /**
+     * Sets the normalizer applied to rule files. Set it before loading a rule file; it should be the
+     * normalizer of the stepper whose text the rules are applied to.
+     * @param {UnicodeNormalizer} unicodeNormalizer - The normalizer to use.
+     */
+    set unicodeNormalizer(unicodeNormalizer) {
+        this._unicodeNormalizer = unicodeNormalizer;
+    }
+
+    /**
+     * Loads the language rules for the specified language and rule type. Preprocessor rules rewrite
+     * spelling and are normalized as spelling; the other types rewrite IPA and are normalized as IPA.
+     * Languages whose orthography map comes from Epitran use the Epitran rule files of the map, which
+     * are applied as Epitran applies them ('consuming') unless they say otherwise.
+     * @param {string} languageCode - The language code to load rules for.
+     * @param {string} type - The type of rules to load: "preprocessor", "postprocessor" or "sandhi".
+     */
+    loadRuleFile(languageCode, type) {
+        const epitranCode = epitranImporter.resolve(languageCode);
+        const path = epitranCode && type !== 'sandhi'
+            ? epitranImporter.ruleFilePath(epitranCode, type)
+            : `processors/rules/${ruleDirectories[type]}/${languageCode}.txt`;
+        const file = loadFile(path);
+        if (!file) return;
+        const response = type === 'preprocessor'
+            ? this._unicodeNormalizer.normalizeText(file)
+            : this._unicodeNormalizer.normalizeIpa(file);
+        this._defaultApplication = epitranCode && type !== 'sandhi' ? 'consuming' : 'simultaneous';
+        this._rules = this.parseRules(response, `${type} rules for ${languageCode}`, path);
+    }
+
+    /**
+     * Parses rules in the Epitran rule syntax. Each line is a comment starting with `%`, a symbol
+     * definition such as `::vowel:: = a|e|i|o|u`, a rule (see `Rule`) or blank. Symbol names may hold
+     * letters, digits and underscores. Symbols are replaced
+     * wherever they occur in the rules that follow their definition. A `%` after whitespace starts a
+     * trailing comment; any other text after a rule's environment is ignored, as Epitran does, and
+     * reported by the `RuleLinter`.
+     *
+     * Two symbol names are settings of the file rather than symbols: `::application::`, which is
+     * `simultaneous`, `sequential` or `consuming` (see `application`), and `::iterate::`, `yes` to apply
+     * each rule again until the word stops changing. Settings made in code take priority over them.
+     *
+     * @param {string} text - The rules.
+     * @param {string} [name='rules'] - What the rules are, for error messages.
+     * @param {?string} [file=null] - The file the rules were read from, kept as the source of each rule.
+     * @param {?Array<{line: number, message: string}>} [errors=null] - If given, the lines that cannot
+     *        be parsed are added to it and skipped, instead of throwing.
+     * @returns {Rule[]} The rules, in order.
+     * @throws {Error} If a line cannot be parsed or uses an undefined symbol, and no errors array is given.
+     */
+    parseRules(text, name = 'rules', file = null, errors = null) {
+        const symbols = {};
+        const rules = [];
+        this._fileApplication = null;
+        this._fileIterate = null;
+        text.split(/\r?\n/).forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || /^[%％]/u.test(line)) return;
+            const symbol = this.symbolDefinition(line);
+            try {
+                if (symbol && symbol[1] === '::application::') {
+                    this._fileApplication = this.checkApplication(symbol[2].trim());
+                } else if (symbol && symbol[1] === '::iterate::') {
+                    this._fileIterate = symbol[2].trim() === 'yes';
+                } else if (symbol) {
+                    symbols[symbol[1]] = symbol[2];
+                } else {
+                    rules.push(new Rule(line, symbols, file && {file, line: i + 1}));
+                }
+            } catch (e) {
+                if (!errors) throw new Error(`Line ${i + 1} of the ${name}: ${e.message}`);
+                errors.push({line: i + 1, message: e.message});
+            }
+        });
+        return rules;
+    }
+
+    /**
+     * Reads a line of a rule file as a symbol definition, e.g. `::vowel:: = a|e|i|o|u`.
+     *
+     * @param {string} line - The line, trimmed.
+     * @returns {?Array<string>} The match, with the symbol and its value, or null if the line is not
+     *          a definition.
+     */
+    symbolDefinition(line) {
+        // Some files leave out the equals sign of a definition
+        return line.includes('->') ? null : line.match(/^(::\w+::)\s*=?\s*(.+)$/u);
+    }
+
+    /**
+     * Processes a word by applying all loaded rules to it.
+     * @param {string} word - The word to process.
+     * @param {?Array<Object>} [trace=null] - If given, a record is added to it for every rule that
+     *        changes the word: `{rule, file, line, before, after}`, with the rule as written.
+     * @returns {string} The processed word.
+     */
+    process(word, trace = null) {
+        if (!this._rules.length) return word;
+        return this._rules.reduce((w, r) => {
+            const rewritten = this.applyRule(r, w);
+            if (trace && rewritten !== w) trace.push({rule: r.text, ...r.source, before: w, after: rewritten});
+            return rewritten;
+        }, word);
+    }
+
+    /**
+     * Applies one rule to a word, simultaneously, sequentially or consuming its environments, and
+     * again until the word stops changing if iteration is enabled.
+     * @param {Rule} rule - The rule to apply.
+     * @param {string} word - The word to apply it to.
+     * @returns {string} The rewritten word.
+     */
+    applyRule(rule, word) {
+        const application = this.application;
+        const applyOnce = {
+            simultaneous: w => rule.apply(w),
+            sequential: w => rule.applySequentially(w),
+            consuming: w => rule.applyConsuming(w),
+        }[application];
+        const iterate = this.iterate;
+        let result = applyOnce(word);
+        for (let i = 1; iterate && i < MAX_RULE_ITERATIONS; i++) {
+            const next = applyOnce(result);
+            if (next === result) break;
+            result = next;
+        }
+        return result;
+    }
+}
+
+/**
+ * Reads the grapheme maps and rule files of Epitran, bundled in `found-data/epitran-data`, so that
+ * every language Epitran covers can be used as an orthography language. Epitran codes name the
+ * language (ISO 639-3), the script and optionally a variant, e.g. `deu-Latn` or `deu-Latn-np`. Maps
+ * are CSV files with an `Orth,Phon` header; an empty `Phon` means the letters are silent. Their `pre`
+ * and `post` rule files are read as preprocessor and postprocessor rules.
+ *
+ * Languages with a map of their own in `processors/maps` keep using it. Other codes are resolved
+ * against the Epitran maps: exactly, with `_` for `-` and in any case, or, for a code without a
+ * script, e.g. `amh` or `ar`, to the map of the language without a variant.
+ */
+class EpitranImporter {
+    /**
+     * The directory the Epitran data is read from.
+     * @type {string}
+     * @private
+     */
+    _directory = 'found-data/epitran-data';
+
+    /**
+     * The Epitran code each language code resolved to, or null if it uses a map of its own or none.
+     * @type {Object<string, ?string>}
+     * @private
+     */
+    _resolved = {};
+
+    /**
+     * The codes of the Epitran maps, read from the map directory on first use.
+     * @type {?string[]}
+     * @private
+     */
+    _languages = null;
+
+    /**
+     * Returns the codes of all Epitran maps, e.g. `ara-Arab` or `deu-Latn-np`.
+     *
+     * @returns {string[]} The codes, in alphabetical order.
+     */
+    languages() {
+        if (!this._languages) {
+            try {
+                this._languages = fs.readdirSync(`./${this._directory}/map`)
+                    .filter(file => file.endsWith('.csv'))
+                    .map(file => file.slice(0, -'.csv'.length))
+                    .sort();
+            } catch (e) {
+                this._languages = [];
+            }
+        }
+        return this._languages;
+    }
+
+    /**
+     * Resolves a language code to the Epitran map to use for it.
+     *
+     * @param {string} languageCode - The language code, e.g. `deu-Latn-np`, `ara_arab` or `ar`.
+     * @returns {?string} The Epitran code, or null if the language has a map of its own in
+     *          `processors/maps` or Epitran has no map for it.
+     */
+    resolve(languageCode) {
+        if (languageCode in this._resolved) return this._resolved[languageCode];
+        let code = null;
+        if (loadFile(`processors/maps/${languageCode}.txt`) === null) {
+            const wanted = languageCode.replace(/_/gu, '-').toLowerCase();
+            const [language, ...rest] = wanted.split('-');
+            code = this.languages().find(c => c.toLowerCase() === wanted) || (rest.length ? null
+                : this.languages().find(c => c.split('-').length === 2 && this.isoCodes(language).includes(c.split('-')[0])));
+            code = code || null;
+        }
+        this._resolved[languageCode] = code;
+        return code;
+    }
+
+    /**
+     * Returns the ISO 639-2 codes of a language, which Epitran names its maps by.
+     *
+     * @param {string} language - An ISO 639-1 or 639-2 code, e.g. `ar` or `ara`.
+     * @returns {string[]} The ISO 639-2 codes of the language.
+     */
+    isoCodes(language) {
+        if (language.length !== 2) return [language];
+        const lookup = loadFile('iso/iso-639-1-lookup.json');
+        const entry = lookup ? JSON.parse(lookup)[language] : null;
+        return entry ? entry['iso-639-2'] : [];
+    }
+
+    /**
+     * Reads the map of the given Epitran code.
+     *
+     * @param {string} code - The Epitran code, as returned by `resolve`.
+     * @returns {?Array<[string, string]>} The letters and their pronunciations, or null if there is
+     *          no such map.
+     */
+    loadMap(code) {
+        const response = loadFile(`${this._directory}/map/${code}.csv`);
+        if (response === null) return null;
+        return response.split(/\r?\n/)
+            .slice(1)
+            .filter(line => line.trim())
+            .map(line => this.csvFields(line))
+            .filter(fields => fields.length >= 2 && fields[0])
+            .map(([orth, phon]) => [orth, phon]);
+    }
+
+    /**
+     * Reads a rule file of the given Epitran code.
+     *
+     * @param {string} code - The Epitran code, as returned by `resolve`.
+     * @param {string} type - The type of rules: "preprocessor" or "postprocessor".
+     * @returns {?string} The content of the rule file, or null if there is none.
+     */
+    loadRuleFile(code, type) {
+        return loadFile(this.ruleFilePath(code, type));
+    }
+
+    /**
+     * Returns the path of a rule file of the given Epitran code.
+     *
+     * @param {string} code - The Epitran code, as returned by `resolve`.
+     * @param {string} type - The type of rules: "preprocessor" or "postprocessor".
+     * @returns {string} The path of the rule file, which may not exist.
+     */
+    ruleFilePath(code, type) {
+        const directories = {preprocessor: 'pre', postprocessor: 'post'};
+        return `${this._directory}/${directories[type]}/${code}.txt`;
+    }
+
+    /**
+     * Splits a line of a CSV file into its fields. Fields may be quoted, with `""` for a quote.
+     *
+     * @param {string} line - The line to split.
+     * @returns {string[]} The fields.
+     */
+    csvFields(line) {
+        const fields = [];
+        for (const [, quoted, plain] of line.matchAll(/(?:^|,)(?:"((?:[^"]|"")*)"|([^,]*))/gu)) {
+            fields.push(quoted !== undefined ? quoted.replace(/""/gu, '"') : plain);
+        }
+        return fields;
+    }
+}
+
+/**
+ * The importer through which orthography steppers and rule processors read Epitran data.
+ * @type {EpitranImporter}
+ */
+const epitranImporter = new EpitranImporter();
+
+/**
+ * The characters a pronunciation in a map may hold, once normalized as IPA: the IPA letters,
+ * modifier letters, suprasegmentals, tone letters and combining diacritics, syllable and group
+ * boundaries, and spaces.
+ * @type {RegExp}
+ */
+const IPA_CHARACTER = /[a-zæçðøħŋœβθχⱱǀǁǂǃⁿᵊ\u0250-\u02FF\u0300-\u036F.|‖ ]/u;
+
+/**
+ * Checks rule files and orthography maps for mistakes that loading them would not report, so that
+ * rule authors can run it before committing. Each problem is reported as
+ * `{file, line, severity, message}`. Errors keep a file from loading or a line from being used:
+ * lines that cannot be parsed, symbols used without a definition, and map lines without a
+ * pronunciation. Warnings point at likely mistakes: symbols defined but never used, rules that can
+ * never fire because an earlier rule removed every string they match, spellings listed twice in a
+ * map, and characters in a map's pronunciations that are not IPA.
+ */
+class RuleLinter {
+    /**
+     * The normalizer applied to the files before they are checked, as they are before they are loaded.
+     * @type {UnicodeNormalizer}
+     * @private
+     */
+    _unicodeNormalizer = defaultUnicodeNormalizer;
+
+    /**
+     * Sets the normalizer applied to the files before they are checked.
+     * @param {UnicodeNormalizer} unicodeNormalizer - The normalizer to use.
+     */
+    set unicodeNormalizer(unicodeNormalizer) {
+        this._unicodeNormalizer = unicodeNormalizer;
+    }
+
+    /**
+     * Checks every rule file under `processors/rules` and every map in `processors/maps`.
+     *
+     * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found.
+     */
+    lintAll() {
+        const files = Object.values(ruleDirectories).map(directory => `processors/rules/${directory}`)
+            .concat('processors/maps')
+            .flatMap(directory => this.textFiles(directory));
+        return files.flatMap(file => this.lintFile(file));
+    }
+
+    /**
+     * Checks one rule file or map, telling which it is from the directory it is in.
+     *
+     * @param {string} file - The path of the file, relative to the working directory.
+     * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found.
+     */
+    lintFile(file) {
+        const text = loadFile(file);
+        if (text === null) return [{file, line: 0, severity: 'error', message: 'The file cannot be read'}];
+        if (/(^|\/)processors\/maps\//u.test(file)) return this.lintMap(text, file);
+        const type = Object.keys(ruleDirectories)
+            .find(key => new RegExp(`(^|/)processors/rules/${ruleDirectories[key]}/`, 'u').test(file));
+        if (!type) return [{file, line: 0, severity: 'error', message: 'Not a rule file or a map'}];
+        return this.lintRules(text, file, type);
+    }
+
+    /**
+     * Checks the text of a rule file.
+     *
+     * @param {string} text - The rules.
+     * @param {string} file - The name of the file, for the report.
+     * @param {string} [type='postprocessor'] - The type of rules, which decides how they are normalized:
+     *        "preprocessor", "postprocessor" or "sandhi".
+     * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found.
+     */
+    lintRules(text, file, type = 'postprocessor') {
+        const normalized = type === 'preprocessor'
+            ? this._unicodeNormalizer.normalizeText(text)
+            : this._unicodeNormalizer.normalizeIpa(text);
+        const ruleProcessor = new RuleProcessor();
+        const errors = [];
+        const rules = ruleProcessor.parseRules(normalized, file, file, errors);
+        return [
+            ...errors.map(({line, message}) => ({file, line, severity: 'error', message})),
+            ...this.unusedSymbols(ruleProcessor, normalized)
+                .map(({line, message}) => ({file, line, severity: 'warning', message})),
+            ...this.unreachableRules(rules).map(({line, message}) => ({file, line, severity: 'warning', message})),
+            ...rules.filter(rule => rule.ignoredText).map(rule => ({
+                file,
+                line: rule.source.line,
+                severity: 'warning',
+                message: `The text after the environment of ${rule.text} is ignored: ${rule.ignoredText}`,
+            })),
+        ].sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Finds the symbols of a rule file that no rule or later definition uses.
+     *
+     * @param {RuleProcessor} ruleProcessor - A rule processor, to read definitions as it does.
+     * @param {string} text - The rules.
+     * @returns {Array<{line: number, message: string}>} The unused symbols.
+     */
+    unusedSymbols(ruleProcessor, text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+        const unused = [];
+        lines.forEach((line, i) => {
+            const definition = !/^[%％]/u.test(line) && ruleProcessor.symbolDefinition(line);
+            if (!definition || ['::application::', '::iterate::'].includes(definition[1])) return;
+            const used = lines.slice(i + 1).some(later => !/^[%％]/u.test(later) && later.includes(definition[1]));
+            if (!used) unused.push({line: i + 1, message: `The symbol ${definition[1]} is never used`});
+        });
+        return unused;
+    }
+
+    /**
+     * Finds rules that can never fire, because an earlier rule with no environment rewrote every
+     * string they match and no rule in between writes it back. Only rules whose target is a plain
+     * string, an alternation of plain strings or a class of letters are checked.
+     *
+     * @param {Rule[]} rules - The rules, in order, with their sources.
+     * @returns {Array<{line: number, message: string}>} The rules that can never fire.
+     */
+    unreachableRules(rules) {
+        const removed = new Map();
+        const unreachable = [];
+        for (const rule of rules) {
+            const line = rule.source ? rule.source.line : 0;
+            const targets = this.literalAlternatives(rule.target);
+            if (targets && targets.every(target => target)) {
+                const blockers = targets.map(target => [...removed.keys()].find(str => target.includes(str)));
+                if (blockers.every(blocker => blocker !== undefined)) {
+                    const causes = [...new Set(blockers)].map(str => `"${str}" (line ${removed.get(str)})`);
+                    unreachable.push({line, message: `The rule ${rule.text} can never fire: an earlier rule removes ${causes.join(', ')}`});
+                }
+            }
+            // A replacement can write a removed string back, and a longer one can also form again
+            // around a replacement or a deletion
+            for (const str of [...removed.keys()]) {
+                if (rule.metathesis || rule.replacement.includes(str)
+                    || (str.length > 1 && (!rule.replacement || [...str].some(char => rule.replacement.includes(char))))) {
+                    removed.delete(str);
+                }
+            }
+            if (rule.unconditional && targets && !rule.metathesis) {
+                for (const target of targets) {
+                    if (target && !rule.replacement.includes(target)) removed.set(target, line);
+                }
+            }
+        }
+        return unreachable;
+    }
+
+    /**
+     * Lists the strings a pattern matches, if it is a plain string, an alternation of plain strings,
+     * possibly in a group, or a class of single letters.
+     *
+     * @param {string} pattern - The pattern, in JavaScript syntax.
+     * @returns {?string[]} The strings, or null if the pattern is more than that.
+     */
+    literalAlternatives(pattern) {
+        const plain = /^[^\\^$.*+?()[\]{}|/]*$/u;
+        const chars = pattern.match(/^\[([^\]^\\-]+)\]$/u);
+        if (chars) return [...chars[1]];
+        const group = pattern.match(/^\((?:\?:)?([^()]*)\)$/u);
+        const alternatives = (group ? group[1] : pattern).split('|');
+        return alternatives.every(alternative => plain.test(alternative)) ? alternatives : null;
+    }
+
+    /**
+     * Checks the text of an orthography map: every line is a spelling and its pronunciations,
+     * separated by a tab, with variants separated by `, `. A spelling without a pronunciation is silent.
+     *
+     * @param {string} text - The map.
+     * @param {string} file - The name of the file, for the report.
+     * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found.
+     */
+    lintMap(text, file) {
+        const problems = [];
+        const spellings = new Map();
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const report = (severity, message) => problems.push({file, line: i + 1, severity, message});
+            const [word, phonetic = ''] = line.split(/\t/);
+            if (!word.trim()) {
+                report('error', `Cannot parse ${line.trim()}: the line has a pronunciation but no spelling`);
+                return;
+            }
+            const spelling = this._unicodeNormalizer.normalizeText(word).toLowerCase();
+            if (spellings.has(spelling)) {
+                report('warning', `The spelling ${word} is already mapped on line ${spellings.get(spelling)}`);
+            } else {
+                spellings.set(spelling, i + 1);
+            }
+            const ipa = this._unicodeNormalizer.normalizeIpa(phonetic).split(', ').join('');
+            const invalid = [...new Set([...ipa].filter(char => !IPA_CHARACTER.test(char)))];
+            if (invalid.length) {
+                report('warning', `The pronunciation of ${word} holds characters that are not IPA: ${invalid.join(' ')}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Lists the text files in a directory.
+     *
+     * @param {string} directory - The directory, relative to the working directory.
+     * @returns {string[]} The paths of its `.txt` files, in alphabetical order, or none if it cannot be read.
+     */
+    textFiles(directory) {
+        try {
+            return fs.readdirSync(`./${directory}`).filter(file => file.endsWith('.txt')).sort()
+                .map(file => `${directory}/${file}`);
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+/**
+ * Splits IPA into syllables and marks stress, for pronunciations built by the orthography rules.
+ * Syllables are split by onset maximisation: the consonants between two vowels go to the later
+ * syllable as far as they form a legal onset. Settings are loaded from `processors/syllables/<language>.txt`:
+ *
+ * - `::stress::` - 'initial', 'penultimate', 'final', or 'accent' to follow written accents
+ * - `::default::` - with accent stress, the position used when the word has no written accent
+ * - `::finalAfter::` - with accent stress, final letters that move unaccented stress to the last syllable
+ * - `::onsets::` - legal onset clusters; without a list, any cluster of rising sonority is legal
+ * - `::diphthongs::` - vowel sequences that form a single nucleus
+ * - `::syllabic::` - consonants that form a nucleus when not next to a vowel
+ * - `::boundaries::` - 'yes' to mark syllable boundaries with '.'
+ * - `::vowels::` - the vowel letters of the spelling, each a syllable of its own, for accent stress in
+ *   scripts other than Latin
+ * - `::stressedLetters::` - with accent stress, vowel letters that are always stressed, e.g. Russian ё
+ * - `::markSpelling::` - 'yes' to mark the stressed vowel of the spelling with an acute accent before
+ *   the rules are applied, so that they can reduce the unstressed vowels
+ *
+ * With accent stress, an acute or grave accent on a vowel, or a `+` before it, marks the stress.
+ */
+class Syllabifier {
+    /**
+     * The settings loaded from the syllables file.
+     * @type {Object<string, string[]>}
+     * @private
+     */
+    _settings = {};
+
+    /**
+     * Loads the syllable settings for the given language.
+     * @param {string} languageCode - The language code to load settings for.
+     * @returns {boolean} True if the language has a syllables file, false otherwise.
+     */
+    loadSyllableFile(languageCode) {
+        const response = loadFile(`processors/syllables/${languageCode}.txt`);
+        if (response === null) return false;
+        for (const line of response.split(/\r?\n/)) {
+            const setting = line.match(/^::(\p{L}+)::\s+=\s+(.*)$/u);
+            if (setting) this._settings[setting[1]] = setting[2].split('|').map(v => v.trim());
+        }
+        return true;
+    }
+
+    /**
+     * Returns the first value of a setting.
+     *
+     * @param {string} name - The name of the setting.
+     * @returns {?string} The value, or null if the setting is not given.
+     */
+    setting(name) {
+        return this._settings[name] ? this._settings[name][0] : null;
+    }
+
+    /**
+     * Marks the stress, and syllable boundaries if enabled, of a pronunciation. Pronunciations that
+     * already carry stress marks and monosyllables are returned unchanged.
+     *
+     * @param {string} ipa - The pronunciation.
+     * @param {string} spelling - The written word, used for accent-driven stress.
+     * @returns {string} The marked pronunciation.
+     */
+    apply(ipa, spelling) {
+        if (!ipa || /[ˈˌ]/u.test(ipa)) return ipa;
+        const syllables = this.syllabify(ipa, this.hiatuses(spelling || ''));
+        if (syllables.length < 2) return ipa;
+        const stressed = this.stressedSyllable(syllables.length, spelling);
+        const boundary = this.setting('boundaries') === 'yes' ? '.' : '';
+        return syllables.map((syllable, i) => {
+            if (i === stressed) return 'ˈ' + syllable;
+            return (i > 0 ? boundary : '') + syllable;
+        }).join('');
+    }
+
+    /**
+     * Splits a pronunciation into syllables.
+     *
+     * @param {string} ipa - The pronunciation.
+     * @param {Set<number>} [hiatuses] - The nuclei, counted as if every diphthong were merged, whose
+     *        vowels are split into two syllables, as found by `hiatuses`.
+     * @returns {string[]} The syllables.
+     */
+    syllabify(ipa, hiatuses = new Set()) {
+        const segments = this.segments(ipa);
+        const nuclei = this.nuclei(segments, hiatuses);
+        if (!nuclei.length) return [ipa];
+        const syllables = [];
+        let start = 0;
+        for (let n = 0; n < nuclei.length - 1; n++) {
+            const clusterStart = nuclei[n][1];
+            const clusterEnd = nuclei[n + 1][0];
+            let onsetStart = clusterEnd;
+            for (let k = clusterStart; k < clusterEnd; k++) {
+                if (this.isLegalOnset(segments.slice(k, clusterEnd))) {
+                    onsetStart = k;
+                    break;
+                }
+            }
+            syllables.push(segments.slice(start, onsetStart).join(''));
+            start = onsetStart;
+        }
+        syllables.push(segments.slice(start).join(''));
+        return syllables;
+    }
+
+    /**
+     * Splits a pronunciation into segments, keeping diacritics, length marks and tied letters
+     * together with the letter they belong to.
+     *
+     * @param {string} ipa - The pronunciation.
+     * @returns {string[]} The segments.
+     */
+    segments(ipa) {
+        const segments = [];
+        let tied = false;
+        for (const char of ipa) {
+            if (segments.length && (tied || /[\p{M}\p{Lm}]/u.test(char))) {
+                segments[segments.length - 1] += char;
+                tied = /[\u035C\u0361]/u.test(char);
+                continue;
+            }
+            segments.push(char);
+            tied = false;
+        }
+        return segments;
+    }
+
+    /**
+     * Finds the syllable nuclei of a list of segments.
+     *
+     * @param {string[]} segments - The segments.
+     * @param {Set<number>} [hiatuses] - The nuclei, counted as if every diphthong were merged, that are
+     *        not merged.
+     * @returns {Array<[number, number]>} The start and end index of each nucleus.
+     */
+    nuclei(segments, hiatuses = new Set()) {
+        const diphthongs = this._settings.diphthongs || [];
+        const syllabic = this._settings.syllabic || [];
+        const nuclei = [];
+        let merged = -1;
+        segments.forEach((segment, i) => {
+            const last = nuclei[nuclei.length - 1];
+            if (this.isVowel(segment)) {
+                const previous = last && last[1] === i ? this.base(segments[i - 1]) : null;
+                const diphthong = previous && diphthongs.includes(previous + this.base(segment));
+                // Count the nuclei as if every diphthong were merged, as the spelling's vowels are
+                if (!diphthong) merged++;
+                if (diphthong && !hiatuses.has(merged)) {
+                    last[1] = i + 1;
+                } else {
+                    nuclei.push([i, i + 1]);
+                }
+            } else if (syllabic.includes(this.base(segment)) &&
+                !this.isVowel(segments[i - 1] || '') && !this.isVowel(segments[i + 1] || '') &&
+                i > 0 && i < segments.length - 1) {
+                merged++;
+                nuclei.push([i, i + 1]);
+            }
+        });
+        return nuclei;
+    }
+
+    /**
+     * Returns whether a consonant cluster is a legal syllable onset.
+     *
+     * @param {string[]} cluster - The segments of the cluster.
+     * @returns {boolean} True if the cluster may start a syllable.
+     */
+    isLegalOnset(cluster) {
+        if (cluster.length <= 1) return true;
+        const onsets = this._settings.onsets;
+        if (onsets) return onsets.includes(cluster.map(s => this.base(s)).join(''));
+        const sonorities = cluster.map(s => this.sonority(s));
+        return sonorities.every((sonority, i) => i === 0 || sonority > sonorities[i - 1]);
+    }
+
+    /**
+     * Returns which syllable carries the stress.
+     *
+     * @param {number} count - The number of syllables.
+     * @param {string} spelling - The written word.
+     * @returns {number} The index of the stressed syllable.
+     */
+    stressedSyllable(count, spelling) {
+        let stress = this.setting('stress');
+        if (stress === 'accent') {
+            const word = this.readStressMarks(spelling.toLowerCase()).normalize('NFC');
+            const accented = this.accentedVowel(this.spellingVowels(word));
+            if (accented !== -1) return Math.min(accented, count - 1);
+            const finalAfter = this._settings.finalAfter || [];
+            stress = finalAfter.includes(word.slice(-1)) ? 'final' : (this.setting('default') || 'penultimate');
+        }
+        switch (stress) {
+            case 'initial':
+                return 0;
+            case 'final':
+                return count - 1;
+            default:
+                return Math.max(count - 2, 0);
+        }
+    }
+
+    /**
+     * Marks the stressed vowel of a written word with an acute accent, as the rules expect it. A vowel
+     * the writer marked, with an accent or a `+` before it, or a letter that is always stressed, keeps
+     * the stress; otherwise the stress of a word of several syllables is guessed.
+     *
+     * @param {string} spelling - The written word, lowercase.
+     * @returns {{spelling: string, guessed: boolean}} The marked word, and whether its stress was guessed.
+     */
+    markStress(spelling) {
+        const letters = this.readStressMarks(spelling).match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+        const vowelIndices = letters.map((letter, i) => (this.isSpellingVowel(letter) ? i : -1)).filter(i => i !== -1);
+        const vowels = vowelIndices.map(i => letters[i]);
+        if (!vowels.length || vowels.some(vowel => /[\u0300\u0301]/u.test(vowel.normalize('NFD')))) {
+            return {spelling: letters.join(''), guessed: false};
+        }
+        let stressed = this.accentedVowel(vowels);
+        const guessed = stressed === -1 && vowels.length > 1;
+        if (stressed === -1) stressed = this.stressedSyllable(vowels.length, spelling);
+        letters[vowelIndices[stressed]] += '\u0301';
+        return {spelling: letters.join(''), guessed};
+    }
+
+    /**
+     * Replaces each `+` written before a vowel with an acute accent on the vowel, and drops any other.
+     *
+     * @param {string} spelling - The written word.
+     * @returns {string} The word with its stress marked by accents only.
+     */
+    readStressMarks(spelling) {
+        return spelling.replace(/\+(\P{M}\p{M}*)/gu, '$1\u0301').replace(/\+/gu, '');
+    }
+
+    /**
+     * Returns the vowels of a written word: each letter listed in `::vowels::`, with its marks, or the
+     * runs of Latin vowels if the language lists none.
+     *
+     * @param {string} word - The written word, lowercase.
+     * @returns {string[]} The vowels, in order.
+     */
+    spellingVowels(word) {
+        if (!this._settings.vowels) return this.vowelRuns(word).flatMap(run => this.splitHiatus(run));
+        return (word.match(/\P{M}\p{M}*/gu) || []).filter(letter => this.isSpellingVowel(letter));
+    }
+
+    /**
+     * Returns the runs of Latin vowels of a written word, each a single nucleus unless it holds a
+     * hiatus. The silent u of gue, gui, que and qui is left out.
+     *
+     * @param {string} word - The written word, lowercase.
+     * @returns {string[]} The runs, in order.
+     */
+    vowelRuns(word) {
+        return word.replace(/(?<=[gq])u(?=[eiéí])/gu, '').match(/[aeiouáéíóúàèìòùâêîôûäëïöü]+/gu) || [];
+    }
+
+    /**
+     * Splits a run of vowels where an accented high vowel (í, ú) breaks what would be a diphthong,
+     * as in país or baúl.
+     *
+     * @param {string} run - The run of vowels.
+     * @returns {string[]} The vowels of each nucleus of the run.
+     */
+    splitHiatus(run) {
+        return run.split(/([íú])/u).filter(Boolean);
+    }
+
+    /**
+     * Finds the runs of vowels of a written word that hold a hiatus, for languages that list no
+     * `::vowels::`.
+     *
+     * @param {string} spelling - The written word.
+     * @returns {Set<number>} The indices of those runs among the word's runs of vowels.
+     */
+    hiatuses(spelling) {
+        if (this._settings.vowels) return new Set();
+        const runs = this.vowelRuns(this.readStressMarks(spelling.toLowerCase()).normalize('NFC'));
+        return new Set(runs.map((run, i) => (this.splitHiatus(run).length > 1 ? i : -1)).filter(i => i !== -1));
+    }
+
+    /**
+     * Returns whether a letter of the spelling, with its marks, is one of the vowels in `::vowels::`.
+     *
+     * @param {string} letter - The letter.
+     * @returns {boolean} True if the letter is a listed vowel.
+     */
+    isSpellingVowel(letter) {
+        const vowels = this._settings.vowels || [];
+        return vowels.includes(letter.normalize('NFC').replace(/[\u0300\u0301]/gu, ''));
+    }
+
+    /**
+     * Finds the vowel that carries the stress in writing: one with an acute or grave accent, or else
+     * one of the `::stressedLetters::`.
+     *
+     * @param {string[]} vowels - The vowels of the word.
+     * @returns {number} The index of the stressed vowel, or -1 if none is marked.
+     */
+    accentedVowel(vowels) {
+        const accented = vowels.findIndex(vowel => /[\u0300\u0301]/u.test(vowel.normalize('NFD')));
+        if (accented !== -1) return accented;
+        const stressedLetters = this._settings.stressedLetters || [];
+        return vowels.findIndex(vowel => stressedLetters.some(letter => vowel.normalize('NFC').includes(letter)));
+    }
+
+    /**
+     * Returns the letter of a segment without its diacritics.
+     *
+     * @param {string} segment - The segment.
+     * @returns {string} The base letter, with any tied letter.
+     */
+    base(segment) {
+        return segment.normalize('NFD').replace(/[\p{M}\p{Lm}]/gu, '');
+    }
+
+    /**
+     * Returns whether a segment is a vowel.
+     *
+     * @param {string} segment - The segment.
+     * @returns {boolean} True if the segment is a vowel.
+     */
+    isVowel(segment) {
+        if (/\u032F/u.test(segment)) return false;
+        return /^[aeiouyɑɒɐæɛəɘɜɞɤɨɪʉʊʌʏɯøœɶɵɔ]/u.test(this.base(segment));
+    }
+
+    /**
+     * Returns the sonority of a consonant segment, from 1 for stops to 5 for glides.
+     *
+     * @param {string} segment - The segment.
+     * @returns {number} The sonority.
+     */
+    sonority(segment) {
+        const base = this.base(segment);
+        if (/^[jwɥɰ]/u.test(base)) return 5;
+        if (/^[lrɾɹɻʀʁɭʎʟɫ]/u.test(base)) return 4;
+        if (/^[mnɲŋɳɴ]/u.test(base)) return 3;
+        if (/^[fvszʃʒθðxɣhɦçʝɕʑʂʐχħʕβɸ]/u.test(base) && base.length === 1) return 2;
+        return 1;
+    }
+}
+
+/**
+ * Links words in French connected speech. Liaison pronounces the latent final consonant of a word
+ * before a vowel-initial word ("les‿amis"); enchaînement carries an already pronounced final consonant
+ * over to the next word ("il‿est"). Both are marked with an undertie. Word lists and latent consonants
+ * are loaded from `processors/liaison/<language>.txt`.
+ */
+class FrenchLiaison {
+    /**
+     * The pronunciation of each latent final consonant in liaison, keyed by its spelling.
+     * @type {Object<string, string>}
+     * @private
+     */
+    _latentConsonants = {};
+
+    /**
+     * Final consonants that are only latent in listed words, and are otherwise pronounced (e.g. the
+     * n of "bon", the r of "premier").
+     * @type {Set<string>}
+     * @private
+     */
+    _obligatoryOnlyConsonants = new Set();
+
+    /**
+     * Words after which liaison is always made, e.g. subject pronouns and monosyllabic prepositions.
+     * @type {Set<string>}
+     * @private
+     */
+    _obligatory = new Set();
+
+    /**
+     * Determiners, after which liaison is always made and whose next word is read as a noun.
+     * @type {Set<string>}
+     * @private
+     */
+    _determiners = new Set();
+
+    /**
+     * Adjectives that come before the noun, after which liaison is made before the noun.
+     * @type {Set<string>}
+     * @private
+     */
+    _adjectives = new Set();
+
+    /**
+     * Words after which liaison is never made, e.g. "et".
+     * @type {Set<string>}
+     * @private
+     */
+    _forbidden = new Set();
+
+    /**
+     * Vowel-initial words that block liaison and enchaînement, e.g. words with h aspiré.
+     * @type {Set<string>}
+     * @private
+     */
+    _aspirated = new Set();
+
+    /**
+     * Loads the word lists and latent consonants for the given language.
+     * @param {string} languageCode - The language code to load the liaison file for.
+     * @returns {boolean} True if the language has a liaison file, false otherwise.
+     */
+    loadLiaisonFile(languageCode) {
+        const response = loadFile(`processors/liaison/${languageCode}.txt`);
+        if (response === null) return false;
+        const lists = {
+            obligatory: this._obligatory,
+            determiners: this._determiners,
+            adjectives: this._adjectives,
+            forbidden: this._forbidden,
+            aspirated: this._aspirated,
+        };
+        for (const line of response.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const list = line.match(/^::(\p{L}+)::\s+=\s+(.*)$/u);
+            if (list && list[1] in lists) {
+                for (const word of list[2].split('|')) lists[list[1]].add(word.trim());
+                continue;
+            }
+            const [spelling, phonetic, restriction] = line.split(/\t/);
+            if (!(spelling && phonetic)) continue;
+            this._latentConsonants[spelling] = phonetic;
+            if (restriction === 'obligatory') this._obligatoryOnlyConsonants.add(spelling);
+        }
+        return true;
+    }
+
+    /**
+     * Applies liaison and enchaînement to the words of one phrase, in place.
+     *
+     * @param {Array<{surface: string, ipa: string}>} words - The words of the phrase, with their
+     *        pronunciations without slashes.
+     * @param {string} mode - 'standard' for obligatory liaisons only, or 'formal' to also make optional ones.
+     * @returns {void}
+     */
+    apply(words, mode) {
+        for (let i = 0; i < words.length - 1; i++) {
+            const word = words[i];
+            const next = words[i + 1];
+            if (!this.startsWithVowel(next.surface)) continue;
+            const surface = word.surface.toLowerCase();
+            const latent = this.latentConsonant(surface);
+            if (latent) {
+                const liaison = this.liaisonAfter(words, i);
+                const makeLiaison = liaison === 'obligatory' || (liaison === 'optional' && mode === 'formal');
+                if (makeLiaison) word.ipa = this.withoutRealisedConsonant(word.ipa, surface) + latent + '‿';
+            } else if (word.ipa && !this.isVowel(this.lastSound(word.ipa)) && !word.ipa.endsWith('‿')) {
+                word.ipa += '‿';
+            }
+        }
+    }
+
+    /**
+     * Decides whether liaison is made after the word at the given index of a phrase. Liaison is
+     * obligatory after listed words and after a prenominal adjective that follows a determiner or
+     * starts the phrase, forbidden after listed words and after a singular noun (a word after a
+     * determiner, where either does not end in s or x), and optional otherwise.
+     *
+     * @param {Array<{surface: string}>} words - The words of the phrase.
+     * @param {number} index - The index of the word.
+     * @returns {string} 'obligatory', 'optional' or 'forbidden'.
+     */
+    liaisonAfter(words, index) {
+        const surface = words[index].surface.toLowerCase();
+        if (this._forbidden.has(surface)) return 'forbidden';
+        if (this._obligatory.has(surface) || this._determiners.has(surface)) return 'obligatory';
+        const determiner = this.determinerOf(words, index);
+        if (this._adjectives.has(surface)) return determiner || index === 0 ? 'obligatory' : 'optional';
+        if (!determiner) return 'optional';
+        return /[sx]$/u.test(surface) && /[sx]$/u.test(determiner) ? 'optional' : 'forbidden';
+    }
+
+    /**
+     * Returns the determiner the word at the given index of a phrase follows, possibly with
+     * prenominal adjectives in between.
+     *
+     * @param {Array<{surface: string}>} words - The words of the phrase.
+     * @param {number} index - The index of the word.
+     * @returns {?string} The lowercase determiner, or null if the word does not follow one.
+     */
+    determinerOf(words, index) {
+        let i = index - 1;
+        while (i >= 0 && this._adjectives.has(words[i].surface.toLowerCase())) i--;
+        const surface = i >= 0 ? words[i].surface.toLowerCase() : null;
+        return surface !== null && this._determiners.has(surface) ? surface : null;
+    }
+
+    /**
+     * Returns whether a word begins with a vowel sound that allows liaison.
+     *
+     * @param {string} surface - The spelling of the word.
+     * @returns {boolean} True if liaison and enchaînement can be made before the word.
+     */
+    startsWithVowel(surface) {
+        const word = surface.toLowerCase();
+        return /^[aeiouyhàâäéèêëîïôöùûüœæ]/u.test(word) && !this._aspirated.has(word);
+    }
+
+    /**
+     * Returns the pronunciation of the latent final consonant of a word, if it has one.
+     *
+     * @param {string} surface - The lowercase spelling of the word.
+     * @returns {?string} The consonant pronounced in liaison, or null if the word has none.
+     */
+    latentConsonant(surface) {
+        const letter = surface.slice(-1);
+        const listed = this._obligatory.has(surface) || this._determiners.has(surface) ||
+            this._adjectives.has(surface);
+        if (this._obligatoryOnlyConsonants.has(letter) && !listed) return null;
+        return this._latentConsonants[letter] || null;
+    }
+
+    /**
+     * Removes a final consonant that the orthography rules pronounced from a latent consonant, so that
+     * it is not doubled by liaison.
+     *
+     * @param {string} ipa - The pronunciation of the word.
+     * @param {string} surface - The lowercase spelling of the word.
+     * @returns {string} The pronunciation without the realised latent consonant.
+     */
+    withoutRealisedConsonant(ipa, surface) {
+        const letter = surface.slice(-1);
+        const sounds = {s: 'sz', x: 'sz', z: 'sz', t: 't', d: 'dt', p: 'p', r: 'rʁ', n: 'n', g: 'ɡgk'};
+        const last = this.lastSound(ipa);
+        return last && (sounds[letter] || '').includes(last) ? ipa.slice(0, ipa.lastIndexOf(last)) : ipa;
+    }
+
+    /**
+     * Returns the last sound of a pronunciation, ignoring stress, length and other marks.
+     *
+     * @param {string} ipa - The pronunciation.
+     * @returns {string} The last letter of the pronunciation, or an empty string if there is none.
+     */
+    lastSound(ipa) {
+        const letters = ipa.match(/\p{L}/gu);
+        return letters ? letters[letters.length - 1] : '';
+    }
+
+    /**
+     * Returns whether an IPA letter is a vowel.
+     *
+     * @param {string} sound - The IPA letter.
+     * @returns {boolean} True if the letter is a vowel.
+     */
+    isVowel(sound) {
+        return /^[aeiouyɑɒɔəɛœøɘɜɞɤɨɪʉʊʌʏæɐ]$/u.test(sound.normalize('NFD').charAt(0));
+    }
+}
+
+/**
+ * Strips inflectional suffixes from words so that they can be derived from a stem in the dictionary.
+ * Suffixes are loaded from `processors/suffixes/<language>.txt`, one per line with their pronunciation
+ * after a tab and optionally the environment of the stem it follows.
+ */
+class SuffixStripper {
+    /**
+     * The suffixes and their pronunciations, longest first. Variants of the same suffix keep the
+     * order of the file; the first whose environment matches the end of the stem's pronunciation is
+     * used.
+     * @type {Array<{suffix: string, ipa: string, environment: ?RegExp}>}
+     * @private
+     */
+    _suffixes = [];
+
+    /**
+     * The shortest stem a suffix may be stripped from.
+     * @type {number}
+     * @private
+     */
+    _minStemLength = 2;
+
+    /**
+     * Loads the suffixes for the given language. Each line holds a suffix, its pronunciation and
+     * optionally the environment it is used in: a regex the stem's pronunciation must end with,
+     * e.g. `[ptkfθ]` for the /s/ of English -s.
+     * @param {string} languageCode - The language code to load suffixes for.
+     * @returns {boolean} True if the language has a suffixes file, false otherwise.
+     */
+    loadSuffixFile(languageCode) {
+        const response = loadFile(`processors/suffixes/${languageCode}.txt`);
+        if (response === null) return false;
+        for (const line of response.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const [suffix, phonetic, environment] = line.split(/\t/);
+            this._suffixes.push({
+                suffix,
+                ipa: phonetic || suffix,
+                environment: environment ? new RegExp(`(?:${environment})$`, 'u') : null,
+            });
+        }
+        this._suffixes.sort((a, b) => b.suffix.length - a.suffix.length);
+        return true;
+    }
+
+    /**
+     * Strips the longest known suffix that leaves a stem found in the dictionary, choosing the
+     * suffix's variant by the end of the stem's pronunciation.
+     *
+     * @param {string} word - The word to strip.
+     * @param {function(string): ?CharNode} lookup - Finds the dictionary entry of a stem.
+     * @param {function(CharNode): string} pronounce - Gives the pronunciation of a stem's entry.
+     * @returns {?{stem: string, stemIpa: string, suffix: string, ipa: string, node: CharNode}} The
+     *          stem and suffix, or null if no suffix leaves a stem that is in the dictionary.
+     */
+    strip(word, lookup, pronounce) {
+        const lowerWord = word.toLowerCase();
+        for (const {suffix, ipa, environment} of this._suffixes) {
+            if (!lowerWord.endsWith(suffix) || word.length - suffix.length < this._minStemLength) continue;
+            const stem = word.slice(0, word.length - suffix.length);
+            const node = lookup(stem);
+            if (!node) continue;
+            const stemIpa = pronounce(node);
+            if (environment && !environment.test(stemIpa)) continue;
+            return {stem, stemIpa, suffix: word.slice(stem.length), ipa, node};
+        }
+        return null;
+    }
+}
+
+/**
+ * Splits compound words into parts that are in the dictionary, allowing language-specific linking
+ * morphemes (e.g. German -s- or -en-) between the parts. Linking morphemes are loaded from
+ * `processors/compounds/<language>.txt`, one per line with their pronunciation after a tab.
+ */
+class CompoundSplitter {
+    /**
+     * The linking morphemes and their pronunciations.
+     * @type {Object<string, string>}
+     * @private
+     */
+    _linkingMorphemes = {};
+
+    /**
+     * The shortest part a compound may be split into.
+     * @type {number}
+     * @private
+     */
+    _minPartLength = 3;
+
+    /**
+     * The smallest share of the word's letters that must come from dictionary parts.
+     * @type {number}
+     * @private
+     */
+    _minCoverage = 0.5;
+
+    /**
+     * Loads the linking morphemes for the given language.
+     * @param {string} languageCode - The language code to load linking morphemes for.
+     * @returns {boolean} True if the language has a compounds file, false otherwise.
+     */
+    loadLinkingFile(languageCode) {
+        const response = loadFile(`processors/compounds/${languageCode}.txt`);
+        if (response === null) return false;
+        for (const line of response.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const [morpheme, phonetic] = line.split(/\t/);
+            this._linkingMorphemes[morpheme] = phonetic || morpheme;
+        }
+        return true;
+    }
+
+    /**
+     * Splits a word into parts. Dictionary parts are preferred; letters that cannot be covered by
+     * the dictionary are grouped into 'orthography' parts, which like dictionary parts are at least
+     * `_minPartLength` letters long.
+     *
+     * @param {string} word - The word to split.
+     * @param {function(string): ?CharNode} lookup - Finds the dictionary entry of a part.
+     * @returns {?Array<{surface: string, type: string, node?: CharNode, ipa?: string}>} The parts,
+     *          or null if the word cannot be split into at least two dictionary parts covering most of it.
+     */
+    split(word, lookup) {
+        const length = word.length;
+        // best[i] holds the cheapest split of word.slice(i)
+        const best = new Array(length + 1).fill(null);
+        best[length] = {cost: 0, parts: []};
+        const entries = {};
+        for (let i = length - 1; i >= 0; i--) {
+            for (let j = i + 1; j <= length; j++) {
+                const surface = word.slice(i, j);
+                const node = (j - i >= this._minPartLength && !(i === 0 && j === length))
+                    ? lookup(surface)
+                    : null;
+                if (node) {
+                    entries[`${i}:${j}`] = node;
+                    this.consider(best, i, j, 1, {surface, type: 'dictionary', node});
+                    for (const [morpheme, phonetic] of Object.entries(this._linkingMorphemes)) {
+                        const k = j + morpheme.length;
+                        if (k >= length || !word.startsWith(morpheme, j) || !best[k]) continue;
+                        const linking = {surface: morpheme, type: 'linking', ipa: phonetic};
+                        this.consider(best, i, k, 1.5, {surface, type: 'dictionary', node}, linking);
+                    }
+                }
+                const next = best[j] && best[j].parts[0];
+                if (j - i >= this._minPartLength && (!next || next.type !== 'orthography')) {
+                    this.consider(best, i, j, 1 + (j - i), {surface, type: 'orthography'});
+                }
+            }
+        }
+        if (!best[0]) return null;
+        const {parts} = best[0];
+        const dictionaryParts = parts.filter(p => p.type === 'dictionary');
+        const dictionaryLetters = dictionaryParts.reduce((sum, p) => sum + p.surface.length, 0);
+        // A single dictionary part with leftovers is more often a misreading, like ge-w-alt for gewalt
+        if (dictionaryParts.length < 2 || dictionaryLetters / length < this._minCoverage) return null;
+        return parts;
+    }
+
+    /**
+     * Records a split of word.slice(start) if it is cheaper than the best one found so far.
+     *
+     * @param {Array<?{cost: number, parts: Array}>} best - The cheapest splits found so far.
+     * @param {number} start - The offset the split starts at.
+     * @param {number} next - The offset the rest of the split starts at.
+     * @param {number} cost - The cost of the new parts.
+     * @param {...Object} parts - The new parts.
+     * @returns {void}
+     */
+    consider(best, start, next, cost, ...parts) {
+        if (!best[next]) return;
+        const total = cost + best[next].cost;
+        if (best[start] && best[start].cost <= total) return;
+        best[start] = {cost: total, parts: [...parts, ...best[next].parts]};
+    }
+
+    /**
+     * Joins the pronunciations of compound parts, applying compound stress: the first part keeps its
+     * primary stress, the primary stress of every later part becomes secondary stress, and a later
+     * part with no stress mark gets secondary stress at its head. Linking morphemes are left unstressed.
+     *
+     * @param {Array<{ipa: string, type: string}>} parts - The parts, with their pronunciations without
+     *        slashes.
+     * @returns {string} The pronunciation of the compound.
+     */
+    joinParts(parts) {
+        return parts.map(({ipa, type}, i) => {
+            if (i === 0 || type === 'linking') return ipa;
+            return /[ˈ'ˌ]/u.test(ipa) ? ipa.replace(/[ˈ']/gu, 'ˌ') : 'ˌ' + ipa;
+        }).join('');
+    }
+}
+
+/**
+ * Chooses between the pronunciations of a heteronym, a word written one way but pronounced in several,
+ * e.g. English read or lead, from the words and punctuation around it. Rules are loaded from
+ * `processors/heteronyms/<language>.txt`, one per line: the word, the reading it chooses and its
+ * context, separated by tabs. A context is one or more conditions separated by `;`, all of which must
+ * hold:
+ *
+ * - `previous = have|had` - the nearest word or punctuation mark before the word
+ * - `next = .|,` - the nearest word or punctuation mark after the word
+ *
+ * `#` stands for the start or the end of the text. The first rule whose context holds is used. If none
+ * does, a bigram model trained on the tagged corpus in `processors/heteronyms/corpora/<language>.txt`,
+ * if there is one, chooses the reading most likely next to the same neighbours. In the corpus, each
+ * heteronym is followed by its reading, e.g. `I have read/ˈɹɛd/ it.`
+ */
+class HeteronymResolver {
+    /**
+     * The rules for each word, lowercase, in the order they are tried.
+     * @type {Object<string, Array<{reading: string, conditions: Array<{side: string, values: string[]}>, context: string}>>}
+     * @private
+     */
+    _rules = {};
+
+    /**
+     * How often each reading of each word was seen in the corpus, and next to which neighbours.
+     * @type {Object<string, Object<string, {count: number, previous: Object<string, number>, next: Object<string, number>}>>}
+     * @private
+     */
+    _bigrams = {};
+
+    /**
+     * The normalizer applied to the rule file and the corpus as they are loaded.
+     * @type {UnicodeNormalizer}
+     * @private
+     */
+    _unicodeNormalizer = defaultUnicodeNormalizer;
+
+    /**
+     * Sets the normalizer applied to the rule file and the corpus. Set it before loading them; it
+     * should be the normalizer of the dictionary the readings are chosen from.
+     * @param {UnicodeNormalizer} unicodeNormalizer - The normalizer to use.
+     */
+    set unicodeNormalizer(unicodeNormalizer) {
+        this._unicodeNormalizer = unicodeNormalizer;
+    }
+
+    /**
+     * Loads the heteronym rules, and the tagged corpus if there is one, for the given language.
+     * @param {string} languageCode - The language code to load the files for.
+     * @returns {boolean} True if the language has a heteronyms file or a corpus, false otherwise.
+     */
+    loadHeteronymFile(languageCode) {
+        const response = loadFile(`processors/heteronyms/${languageCode}.txt`);
+        for (const line of (response || '').split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const [word, reading, context] = line.split(/\t/);
+            if (!(word && reading && context)) continue;
+            const lowerWord = this._unicodeNormalizer.normalizeText(word.trim()).toLowerCase();
+            (this._rules[lowerWord] = this._rules[lowerWord] || []).push({
+                reading: this.bare(this._unicodeNormalizer.normalizeIpa(reading)),
+                conditions: this.parseContext(this._unicodeNormalizer.normalizeText(context).toLowerCase()),
+                context: context.trim(),
+            });
+        }
+        const corpus = loadFile(`processors/heteronyms/corpora/${languageCode}.txt`);
+        if (corpus !== null) this.train(corpus);
+        return response !== null || corpus !== null;
+    }
+
+    /**
+     * Parses the context of a rule into its conditions.
+     *
+     * @param {string} context - The context, e.g. `previous = to|will; next = the`.
+     * @returns {Array<{side: string, values: string[]}>} The conditions.
+     * @throws {Error} If a condition is not on the previous or the next word.
+     */
+    parseContext(context) {
+        return context.split(';').map(condition => {
+            const [side, values] = condition.split('=').map(part => part.trim());
+            if (side !== 'previous' && side !== 'next') throw new Error(`Unknown heteronym context: ${condition.trim()}`);
+            return {side, values: values.split('|').map(value => value.trim())};
+        });
+    }
+
+    /**
+     * Counts, for every tagged heteronym in a corpus, its reading and the neighbours it was seen with.
+     *
+     * @param {string} corpus - The tagged corpus, one sentence or more per line.
+     * @returns {void}
+     */
+    train(corpus) {
+        for (const line of corpus.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const tokens = this.corpusTokens(line);
+            tokens.forEach(({word, reading}, i) => {
+                if (!reading) return;
+                const readings = this._bigrams[word] = this._bigrams[word] || {};
+                const counts = readings[reading] = readings[reading] || {count: 0, previous: {}, next: {}};
+                counts.count++;
+                const previous = i > 0 ? tokens[i - 1].word : '#';
+                const next = i < tokens.length - 1 ? tokens[i + 1].word : '#';
+                counts.previous[previous] = (counts.previous[previous] || 0) + 1;
+                counts.next[next] = (counts.next[next] || 0) + 1;
+            });
+        }
+    }
+
+    /**
+     * Splits a line of the corpus into its words and punctuation marks, lowercase, with the reading
+     * of each tagged word.
+     *
+     * @param {string} line - The line to split.
+     * @returns {Array<{word: string, reading: ?string}>} The tokens.
+     */
+    corpusTokens(line) {
+        const normalized = this._unicodeNormalizer.normalizeText(line);
+        const tokens = [];
+        for (const match of normalized.matchAll(/([\p{L}\p{M}']+)(?:\/([^/\s]+)\/)?|[^\s\p{L}\p{M}]/gu)) {
+            tokens.push({
+                word: (match[1] || match[0]).toLowerCase(),
+                reading: match[2] ? this.bare(this._unicodeNormalizer.normalizeIpa(match[2])) : null,
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Returns whether the given word has rules or was seen in the corpus.
+     *
+     * @param {string} word - The word.
+     * @returns {boolean} True if the word is a known heteronym.
+     */
+    has(word) {
+        const lowerWord = word.toLowerCase();
+        return lowerWord in this._rules || lowerWord in this._bigrams;
+    }
+
+    /**
+     * Chooses the reading of a heteronym from its context: by the first rule whose context holds,
+     * otherwise by the bigram model.
+     *
+     * @param {string} word - The word.
+     * @param {string[]} phonetics - The candidate pronunciations from the dictionary.
+     * @param {{previous: ?string, next: ?string}} context - The nearest word or punctuation mark on
+     *        either side, lowercase, or null at the start or end of the text.
+     * @returns {?{reading: string, reason: string, context: string}} The chosen pronunciation, the
+     *          reason for it ('rule' or 'bigram') and the context it was chosen by, or null if neither
+     *          decides.
+     */
+    resolve(word, phonetics, context) {
+        const lowerWord = word.toLowerCase();
+        const neighbours = {previous: context.previous || '#', next: context.next || '#'};
+        for (const rule of this._rules[lowerWord] || []) {
+            const reading = phonetics.find(phonetic => this.bare(phonetic) === rule.reading);
+            if (reading && rule.conditions.every(({side, values}) => values.includes(neighbours[side]))) {
+                return {reading, reason: 'rule', context: rule.context};
+            }
+        }
+        return this.predict(lowerWord, phonetics, neighbours);
+    }
+
+    /**
+     * Chooses the reading that the corpus makes most likely next to the given neighbours, scoring
+     * each reading by how often it was seen and how often with each neighbour, with add-one smoothing.
+     * Neighbours that were never seen next to the word are no evidence either way.
+     *
+     * @param {string} word - The word, lowercase.
+     * @param {string[]} phonetics - The candidate pronunciations from the dictionary.
+     * @param {{previous: string, next: string}} neighbours - The neighbours, '#' at the start or end.
+     * @returns {?{reading: string, reason: string, context: string}} The chosen pronunciation, or null
+     *          if the corpus has no evidence for this context.
+     */
+    predict(word, phonetics, neighbours) {
+        const readings = this._bigrams[word];
+        if (!readings) return null;
+        const counts = Object.values(readings);
+        const sides = ['previous', 'next'].filter(side => counts.some(c => c[side][neighbours[side]]));
+        if (!sides.length) return null;
+        const total = counts.reduce((sum, c) => sum + c.count, 0);
+        let best = null;
+        for (const phonetic of phonetics) {
+            const seen = readings[this.bare(phonetic)];
+            if (!seen) continue;
+            let score = Math.log(seen.count / total);
+            for (const side of sides) {
+                const vocabulary = new Set(counts.flatMap(c => Object.keys(c[side]))).size;
+                score += Math.log(((seen[side][neighbours[side]] || 0) + 1) / (seen.count + vocabulary));
+            }
+            if (!best || score > best.score) best = {reading: phonetic, score};
+        }
+        if (!best) return null;
+        return {
+            reading: best.reading,
+            reason: 'bigram',
+            context: sides.map(side => `${side} = ${neighbours[side]}`).join('; '),
+        };
+    }
+
+    /**
+     * Returns a pronunciation without its slashes, for comparing readings.
+     *
+     * @param {string} phonetic - The pronunciation.
+     * @returns {string} The pronunciation without slashes.
+     */
+    bare(phonetic) {
+        return phonetic.trim().replace(/^\/|\/$/gu, '');
+    }
+}
+
+/**
+ * Brings text, dictionaries and rule files into one Unicode form, so that text typed one way still
+ * matches entries written another way. Spelling is composed (NFC) or decomposed (NFD) and typographic
+ * apostrophes are folded to `'`. IPA is further canonicalised: `g` is written as the IPA letter `ɡ`,
+ * and an apostrophe used as a stress mark as `ˈ`. Bidirectional formatting characters, which only
+ * affect how right-to-left text is displayed, are removed; the zero-width non-joiner of Persian is
+ * kept as part of its word. The same normalizer must be used for the text as for the dictionaries
+ * and rule files it is looked up in.
+ */
+class UnicodeNormalizer {
+    /**
+     * The Unicode normalization form: 'NFC' or 'NFD'.
+     * @type {string}
+     * @private
+     */
+    _form = 'NFC';
+
+    /**
+     * Whether typographic apostrophes (’ and ʼ) are folded to `'`.
+     * @type {boolean}
+     * @private
+     */
+    _apostrophes = true;
+
+    /**
+     * Whether typographic quotation marks („ “ ” « » ‚ ‘) are folded to `"` and `'`.
+     * @type {boolean}
+     * @private
+     */
+    _quotes = false;
+
+    /**
+     * Whether IPA look-alikes are canonicalised, e.g. `ɡ` and `g`.
+     * @type {boolean}
+     * @private
+     */
+    _ipa = true;
+
+    /**
+     * Whether bidirectional formatting characters (marks, embeddings, overrides and isolates) are removed.
+     * @type {boolean}
+     * @private
+     */
+    _bidi = true;
+
+    /**
+     * Whether words written with Hebrew points (niqqud) or Arabic vowel marks can also be found
+     * without them.
+     * @type {boolean}
+     * @private
+     */
+    _points = true;
+
+    /**
+     * Constructs a new UnicodeNormalizer.
+     *
+     * @param {Object} [options={}] - Normalization options.
+     * @param {string} [options.form='NFC'] - 'NFC' to compose characters or 'NFD' to decompose them.
+     * @param {boolean} [options.apostrophes=true] - Whether to fold typographic apostrophes to `'`.
+     * @param {boolean} [options.quotes=false] - Whether to fold typographic quotation marks to `"` and `'`.
+     *        Quotation marks are passed through to the output, so they are kept as they are by default.
+     * @param {boolean} [options.ipa=true] - Whether to canonicalise IPA look-alikes.
+     * @param {boolean} [options.bidi=true] - Whether to remove bidirectional formatting characters.
+     * @param {boolean} [options.points=true] - Whether words written with Hebrew points or Arabic
+     *        vowel marks can also be found without them.
+     * @throws {Error} If the normalization form is not 'NFC' or 'NFD'.
+     */
+    constructor({form = 'NFC', apostrophes = true, quotes = false, ipa = true, bidi = true, points = true} = {}) {
+        if (!['NFC', 'NFD'].includes(form)) throw new Error(`Unknown normalization form: ${form}`);
+        this._form = form;
+        this._apostrophes = apostrophes;
+        this._quotes = quotes;
+        this._ipa = ipa;
+        this._bidi = bidi;
+        this._points = points;
+    }
+
+    /**
+     * The Unicode normalization form: 'NFC' or 'NFD'.
+     * @type {string}
+     * @readonly
+     */
+    get form() {
+        return this._form;
+    }
+
+    /**
+     * Normalizes spelling: text to translate, dictionary headwords and spelling rules.
+     *
+     * @param {string} text - The text to normalize.
+     * @returns {string} The normalized text.
+     */
+    normalizeText(text) {
+        return this.fold(text.normalize(this._form));
+    }
+
+    /**
+     * Normalizes IPA: dictionary pronunciations and rules that rewrite IPA.
+     *
+     * @param {string} ipa - The IPA to normalize.
+     * @returns {string} The normalized IPA.
+     */
+    normalizeIpa(ipa) {
+        const normalized = this.normalizeText(ipa);
+        return this._ipa ? normalized.replace(/g/gu, 'ɡ').replace(/'/gu, 'ˈ') : normalized;
+    }
+
+    /**
+     * Normalizes spelling and records where each character of the result came from. Each base
+     * character is normalized together with the combining marks that follow it, so a character of the
+     * result always points at the start of the character it came from.
+     *
+     * @param {string} text - The text to normalize.
+     * @returns {{text: string, offsets: number[]}} The normalized text, and the offset in the original
+     *          text of each of its characters, with one more entry for the end of the text.
+     */
+    normalizeWithOffsets(text) {
+        let normalized = '';
+        const offsets = [];
+        for (const {0: chunk, index} of text.matchAll(/\P{M}\p{M}*|\p{M}+/gsu)) {
+            const normalizedChunk = this.normalizeText(chunk);
+            normalized += normalizedChunk;
+            for (let i = 0; i < normalizedChunk.length; i++) offsets.push(index);
+        }
+        offsets.push(text.length);
+        return {text: normalized, offsets};
+    }
+
+    /**
+     * Folds typographic variants of characters to one form.
+     *
+     * @param {string} text - The text to fold.
+     * @returns {string} The folded text.
+     */
+    fold(text) {
+        let folded = text;
+        if (this._apostrophes) folded = folded.replace(/[’ʼ]/gu, '\'');
+        if (this._quotes) folded = folded.replace(/[„“”«»]/gu, '"').replace(/[‚‘]/gu, '\'');
+        if (this._ipa) folded = folded.replace(/ɡ/gu, 'g');
+        if (this._bidi) folded = folded.replace(/[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069]/gu, '');
+        return folded;
+    }
+
+    /**
+     * Removes Hebrew points (niqqud and cantillation) and Arabic vowel marks from a word, so that a
+     * pointed word can be looked up unpointed. The word is returned as it is if point stripping is off.
+     *
+     * @param {string} word - The word to strip.
+     * @returns {string} The word without points.
+     */
+    stripPoints(word) {
+        if (!this._points) return word;
+        return word.replace(/[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u064B-\u065F\u0670]/gu, '');
+    }
+}
+
+/**
+ * The normalizer used by steppers and rule processors that are not given one of their own.
+ * @type {UnicodeNormalizer}
+ */
+const defaultUnicodeNormalizer = new UnicodeNormalizer();
+
+/**
+ * Decomposes Hangul syllables into their jamo, so that the orthography map and rules can deal with
+ * each consonant and vowel, and composes jamo back into syllables for display. The conjoining jamo
+ * keep initial consonants (ᄀ-ᄒ), vowels (ᅡ-ᅵ) and final consonants (ᆨ-ᇂ) apart.
+ */
+class HangulJamo {
+    /**
+     * Decomposes the Hangul syllables in the text into conjoining jamo, e.g. 국 into ᄀ ᅮ ᆨ.
+     *
+     * @param {string} text - The text to decompose.
+     * @returns {string} The decomposed text.
+     */
+    decompose(text) {
+        return text.replace(/[\uAC00-\uD7A3]/gu, syllable => syllable.normalize('NFD'));
+    }
+
+    /**
+     * Composes conjoining jamo in the text back into Hangul syllables. A vowel left without an initial
+     * consonant, e.g. after the silent ㅇ has been dropped, gets the ㅇ back.
+     *
+     * @param {string} text - The text to compose.
+     * @returns {string} The composed text.
+     */
+    compose(text) {
+        return text.replace(/[\u1100-\u11FF]+/gu, jamo => jamo
+            .replace(/(^|[^\u1100-\u115F])(?=[\u1160-\u11A7])/gu, '$1\u110B')
+            .normalize('NFC'));
+    }
+}
+
+/**
+ * Decomposes text into the letters an orthography map is written in, for scripts whose characters
+ * stand for more than one sound. Decomposers are looked up by language code, then by the language part
+ * of the code (e.g. 'ko' for 'ko_KR').
+ *
+ * @type {Object<string, HangulJamo>}
+ */
+const scriptDecomposers = {
+    ko: new HangulJamo(),
+};
+
+/**
+ * Reads and rewrites the tones of tonal languages such as Vietnamese and Cantonese. Tones are written
+ * with Chao tone letters (˥ ˦ ˧ ˨ ˩, from high to low), one run of letters per syllable, and can be
+ * given as tone numbers instead, e.g. ˧˥ as ³⁵.
+ */
+class ToneLetters {
+    /**
+     * The tone number of each tone letter, as a superscript digit.
+     * @type {Object<string, string>}
+     * @private
+     */
+    _numbers = {'˥': '⁵', '˦': '⁴', '˧': '³', '˨': '²', '˩': '¹'};
+
+    /**
+     * Returns the tones in the given IPA, one per syllable that has one.
+     *
+     * @param {string} ipa - The IPA to read.
+     * @returns {string[]} The runs of tone letters, in order.
+     */
+    tones(ipa) {
+        return ipa.match(/[˥˦˧˨˩]+/gu) || [];
+    }
+
+    /**
+     * Writes the tones in the given IPA in the given format.
+     *
+     * @param {string} ipa - The IPA, with tones as tone letters.
+     * @param {string} format - 'letters' to keep the tone letters, or 'numbers' for tone numbers.
+     * @returns {string} The IPA with its tones in the given format.
+     */
+    format(ipa, format) {
+        if (format !== 'numbers') return ipa;
+        return ipa.replace(/[˥˦˧˨˩]+/gu, tone => [...tone].map(letter => this._numbers[letter]).join(''));
+    }
+}
+
+/**
+ * Splits text into words and the whitespace and punctuation between them. Words are found with
+ * `Intl.Segmenter`, so combining marks and the vowel signs of scripts such as Devanagari stay inside
+ * their word, and apostrophes between letters do not split it. Per-language exceptions for apostrophes
+ * and hyphens are loaded from `processors/tokenizer/<language>.txt`:
+ *
+ * - `::elisions::` - clitics split off the word they are elided onto, e.g. French l’ and qu’
+ * - `::words::` - words kept whole despite an apostrophe or hyphen, e.g. aujourd’hui
+ * - `::hyphens::` - 'join' to keep hyphenated words whole, e.g. Finnish A-pylväs
+ * - `::trailing::` - 'yes' to keep an apostrophe marking elided letters at the end of a word, e.g. German Kron’
+ * - `::segmentation::` - 'dictionary' to split text written without spaces, e.g. Chinese or Japanese, into
+ *   dictionary words
+ * - `::stressMark::` - a mark written before a stressed vowel and kept inside the word, e.g. `+` in
+ *   Russian молок+о
+ */
+class Tokenizer {
+    /**
+     * The word segmenter for the language.
+     * @type {Intl.Segmenter}
+     * @private
+     */
+    _segmenter = new Intl.Segmenter(undefined, {granularity: 'word'});
+
+    /**
+     * The clitics split off before an apostrophe, lowercase.
+     * @type {Set<string>}
+     * @private
+     */
+    _elisions = new Set();
+
+    /**
+     * The words kept whole despite an apostrophe or hyphen.
+     * @type {Set<string>}
+     * @private
+     */
+    _words = new Set();
+
+    /**
+     * The settings of the language, keyed by name.
+     * @type {Object<string, string>}
+     * @private
+     */
+    _settings = {};
+
+    /**
+     * The cost of a character that is not part of any dictionary word, when splitting text by the
+     * dictionary. Every dictionary word costs 1, so a known word is always preferred.
+     * @type {number}
+     * @private
+     */
+    _unknownCost = 10;
+
+    /**
+     * Loads the segmenter and the apostrophe and hyphen exceptions for the given language.
+     * @param {string} languageCode - The language code to load the tokenizer file for.
+     * @returns {boolean} True if the language has a tokenizer file, false otherwise.
+     */
+    loadTokenizerFile(languageCode) {
+        try {
+            this._segmenter = new Intl.Segmenter(languageCode.replace(/_/gu, '-'), {granularity: 'word'});
+        } catch (e) {
+            // Codes that are not valid locales, e.g. dialect names, keep the default segmenter
+        }
+        const response = loadFile(`processors/tokenizer/${languageCode}.txt`);
+        if (response === null) return false;
+        const lists = {elisions: this._elisions, words: this._words};
+        for (const line of response.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const setting = line.match(/^::(\p{L}+)::\s+=\s+(.*)$/u);
+            if (!setting) continue;
+            if (setting[1] in lists) {
+                for (const word of setting[2].split('|')) lists[setting[1]].add(this.foldApostrophes(word.trim().toLowerCase()));
+            } else {
+                this._settings[setting[1]] = setting[2].trim();
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Splits text into words and the runs of whitespace and punctuation between them.
+     *
+     * @param {string} text - The text to split.
+     * @param {?function(string, number): number[]} [matchLengths=null] - Returns the lengths of the
+     *        dictionary words starting at the given offset of the text, for splitting text written
+     *        without spaces.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The segments in order, with
+     *          their offsets in the text and whether they are words.
+     */
+    segments(text, matchLengths = null) {
+        let segments = [];
+        for (const {segment, index} of this._segmenter.segment(text)) {
+            segments.push({start: index, end: index + segment.length, word: /\p{L}/u.test(segment)});
+        }
+        if (this._settings.hyphens === 'join') segments = this.joinHyphens(segments, text);
+        if (this._settings.trailing === 'yes') segments = this.joinTrailingApostrophes(segments, text);
+        if (this._settings.stressMark) segments = this.joinStressMarks(segments, text);
+        const kept = new Set();
+        if (this._words.size) segments = this.joinListedWords(segments, text, kept);
+        if (this._elisions.size) segments = this.splitElisions(segments, text, kept);
+        if (this._settings.segmentation === 'dictionary' && matchLengths) {
+            segments = this.splitByDictionary(segments, text, matchLengths);
+        }
+        return segments;
+    }
+
+    /**
+     * Splits each run of words that are not separated by spaces or punctuation anew, into the words
+     * of the dictionary.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @param {function(string, number): number[]} matchLengths - Returns the lengths of the dictionary
+     *        words starting at the given offset of the text.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The split segments.
+     */
+    splitByDictionary(segments, text, matchLengths) {
+        const split = [];
+        for (let i = 0; i < segments.length; i++) {
+            if (!segments[i].word) {
+                split.push(segments[i]);
+                continue;
+            }
+            let last = i;
+            while (segments[last + 1] && segments[last + 1].word && segments[last + 1].start === segments[last].end) last++;
+            split.push(...this.splitRun(text, segments[i].start, segments[last].end, matchLengths));
+            i = last;
+        }
+        return split;
+    }
+
+    /**
+     * Splits a run of text into dictionary words along the cheapest path through the lattice of every
+     * dictionary word in it. Each word costs 1 and each character outside a dictionary word costs
+     * `_unknownCost`; between paths of equal cost, the one with the longer words is chosen. Adjacent
+     * characters outside dictionary words are kept together as one word.
+     *
+     * @param {string} text - The text the run is in.
+     * @param {number} start - The offset of the run in the text.
+     * @param {number} end - The offset after the run in the text.
+     * @param {function(string, number): number[]} matchLengths - Returns the lengths of the dictionary
+     *        words starting at the given offset of the text.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The words of the run.
+     */
+    splitRun(text, start, end, matchLengths) {
+        // best[i] is the cheapest path to the offset start + i, with the sum of its squared word lengths
+        const best = [{cost: 0, fit: 0, from: -1, known: true}];
+        const charRegex = /\P{M}\p{M}*|\p{M}+/uy;
+        for (let i = 0; start + i < end; i++) {
+            if (!best[i]) continue;
+            const steps = matchLengths(text, start + i)
+                .filter(length => start + i + length <= end)
+                .map(length => ({length, known: true}));
+            charRegex.lastIndex = start + i;
+            steps.push({length: Math.min(charRegex.exec(text)[0].length, end - start - i), known: false});
+            for (const {length, known} of steps) {
+                const cost = best[i].cost + (known ? 1 : this._unknownCost);
+                const fit = best[i].fit + (known ? length * length : 0);
+                const current = best[i + length];
+                if (!current || cost < current.cost || (cost === current.cost && fit > current.fit)) {
+                    best[i + length] = {cost, fit, from: i, known};
+                }
+            }
+        }
+        const words = [];
+        for (let i = end - start; i > 0; i = best[i].from) {
+            const {from, known} = best[i];
+            if (!known && words.length && !words[0].known) {
+                words[0].start = start + from;
+            } else {
+                words.unshift({start: start + from, end: start + i, known});
+            }
+        }
+        return words.map(word => ({start: word.start, end: word.end, word: true}));
+    }
+
+    /**
+     * Joins words linked by a single hyphen into one word.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The joined segments.
+     */
+    joinHyphens(segments, text) {
+        const joined = [];
+        for (const segment of segments) {
+            const [word, hyphen] = joined.slice(-2);
+            if (segment.word && hyphen && word.word && /^[-‐‑]$/u.test(text.slice(hyphen.start, hyphen.end))) {
+                joined.splice(-2, 2, {start: word.start, end: segment.end, word: true});
+            } else {
+                joined.push(segment);
+            }
+        }
+        return joined;
+    }
+
+    /**
+     * Joins an apostrophe that follows a word, and is not followed by another, onto that word.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The joined segments.
+     */
+    joinTrailingApostrophes(segments, text) {
+        const joined = [];
+        segments.forEach((segment, i) => {
+            const previous = joined[joined.length - 1];
+            const next = segments[i + 1];
+            if (previous && previous.word && this.isApostrophe(text.slice(segment.start, segment.end)) &&
+                !(next && next.word)) {
+                previous.end = segment.end;
+            } else {
+                joined.push({...segment});
+            }
+        });
+        return joined;
+    }
+
+    /**
+     * Joins each stress mark that is followed by a word onto that word, and onto the word before it
+     * if there is no space between them, e.g. молок+о.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The joined segments.
+     */
+    joinStressMarks(segments, text) {
+        const joined = [];
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const next = segments[i + 1];
+            if (text.slice(segment.start, segment.end) !== this._settings.stressMark ||
+                !(next && next.word && next.start === segment.end)) {
+                joined.push({...segment});
+                continue;
+            }
+            const previous = joined[joined.length - 1];
+            if (previous && previous.word && previous.end === segment.start) {
+                previous.end = next.end;
+            } else {
+                joined.push({start: segment.start, end: next.end, word: true});
+            }
+            i++;
+        }
+        return joined;
+    }
+
+    /**
+     * Joins the segments of each listed word into one word.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @param {Set<number>} kept - Collects the start offsets of the joined words.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The joined segments.
+     */
+    joinListedWords(segments, text, kept) {
+        const joined = [];
+        for (let i = 0; i < segments.length; i++) {
+            let found = -1;
+            for (let j = i; j < segments.length && j < i + 8; j++) {
+                const candidate = text.slice(segments[i].start, segments[j].end);
+                if (this._words.has(this.foldApostrophes(candidate.toLowerCase()))) found = j;
+            }
+            if (found === -1) {
+                joined.push(segments[i]);
+                continue;
+            }
+            joined.push({start: segments[i].start, end: segments[found].end, word: true});
+            kept.add(segments[i].start);
+            i = found;
+        }
+        return joined;
+    }
+
+    /**
+     * Splits elided clitics, with their apostrophe, off the start of words, e.g. l’ in l’heure.
+     * Listed words are left whole.
+     *
+     * @param {Array<{start: number, end: number, word: boolean}>} segments - The segments.
+     * @param {string} text - The text the segments are in.
+     * @param {Set<number>} kept - The start offsets of listed words.
+     * @returns {Array<{start: number, end: number, word: boolean}>} The split segments.
+     */
+    splitElisions(segments, text, kept) {
+        const split = [];
+        for (const segment of segments) {
+            const word = this.foldApostrophes(text.slice(segment.start, segment.end).toLowerCase());
+            const apostrophe = word.indexOf('\'');
+            if (!segment.word || kept.has(segment.start) || apostrophe < 1 ||
+                !this._elisions.has(word.slice(0, apostrophe)) || apostrophe === word.length - 1) {
+                split.push(segment);
+                continue;
+            }
+            const start = segment.start + apostrophe;
+            split.push(
+                {start: segment.start, end: start, word: true},
+                {start, end: start + 1, word: false},
+                {start: start + 1, end: segment.end, word: true},
+            );
+        }
+        return split;
+    }
+
+    /**
+     * Returns whether the given string is an apostrophe.
+     *
+     * @param {string} str - The string to test.
+     * @returns {boolean} True if the string is an apostrophe.
+     */
+    isApostrophe(str) {
+        return /^['’ʼ]$/u.test(str);
+    }
+
+    /**
+     * Replaces typographic apostrophes with a straight one, for comparing words.
+     *
+     * @param {string} str - The string to fold.
+     * @returns {string} The folded string.
+     */
+    foldApostrophes(str) {
+        return str.replace(/[’ʼ]/gu, '\'');
+    }
+}
+
+/**
+ * Spells out numbers in words, per language. Each speller gives the words for cardinals, ordinals,
+ * years, decades, times, dates and amounts of money, the words read for the percent and minus signs
+ * and for am and pm, and the marks used to write numbers. English reads am and pm by the letter
+ * names of its abbreviation files, so the American speller spells A as "ae". Languages whose
+ * cardinals agree with the noun after them also give an `attributive` form for a noun of a given
+ * gender, and languages that read the numeral after a ruler's name as an ordinal give a `regnal`
+ * form. Spellers are looked up by language code, then by the language part of the code (e.g. 'en'
+ * for 'en_UK').
+ *
+ * @type {Object<string, Object>}
+ */
+const numberSpellers = {
+    en: {
+        decimalMark: '.',
+        groupMark: ',',
+        dateSeparator: '/',
+        dateOrder: 'dmy',
+        timeSeparators: ':',
+        ordinalMarkers: 'st|nd|rd|th',
+        point: 'point',
+        percent: 'per cent',
+        minus: 'minus',
+        decadeMarkers: '\'?s',
+        meridiems: {am: 'eh em', pm: 'pee em'},
+        and: true,
+        ones: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+            'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+        tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+            'October', 'November', 'December'],
+        currencies: {
+            '$': ['dollar', 'dollars', 'cent', 'cents'],
+            '€': ['euro', 'euros', 'cent', 'cents'],
+            '£': ['pound', 'pounds', 'penny', 'pence'],
+        },
+        cardinal(n) {
+            if (n < 20) return this.ones[n];
+            if (n < 100) return this.tens[Math.floor(n / 10)] + (n % 10 ? ' ' + this.ones[n % 10] : '');
+            if (n < 1000) {
+                return this.ones[Math.floor(n / 100)] + ' hundred' +
+                    (n % 100 ? (this.and ? ' and ' : ' ') + this.cardinal(n % 100) : '');
+            }
+            for (const [scale, name] of [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']]) {
+                if (n < scale) continue;
+                const rest = n % scale;
+                return this.cardinal(Math.floor(n / scale)) + ' ' + name +
+                    (rest ? (this.and && rest < 100 ? ' and ' : ' ') + this.cardinal(rest) : '');
+            }
+        },
+        ordinal(n) {
+            const irregular = {one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth',
+                nine: 'ninth', twelve: 'twelfth'};
+            const words = this.cardinal(n).split(' ');
+            const last = words.pop();
+            if (last in irregular) return [...words, irregular[last]].join(' ');
+            return [...words, last.endsWith('y') ? last.slice(0, -1) + 'ieth' : last + 'th'].join(' ');
+        },
+        regnal(n) {
+            return 'the ' + this.ordinal(n);
+        },
+        year(n) {
+            if (!(n > 1000 && n < 2000 || n >= 2010 && n < 2100)) return null;
+            const century = this.cardinal(Math.floor(n / 100));
+            const rest = n % 100;
+            if (!rest) return century + ' hundred';
+            return century + ' ' + (rest < 10 ? 'oh ' : '') + this.cardinal(rest);
+        },
+        time(hours, minutes, meridiem) {
+            const suffix = meridiem ? ' ' + this.meridiems[meridiem] : '';
+            if (!minutes) return this.cardinal(hours) + (suffix || ' o\'clock');
+            return this.cardinal(hours) + ' ' + (minutes < 10 ? 'oh ' : '') + this.cardinal(minutes) + suffix;
+        },
+        decade(words) {
+            return words.endsWith('y') ? words.slice(0, -1) + 'ies' : words + 's';
+        },
+        date(day, month, year) {
+            return 'the ' + this.ordinal(day) + ' of ' + this.months[month - 1] + (year ? ' ' + year : '');
+        },
+        money(units, subunits, symbol) {
+            const [unit, unitPlural, subunit, subunitPlural] = this.currencies[symbol];
+            const parts = [];
+            if (units || !subunits) parts.push(this.cardinal(units) + ' ' + (units === 1 ? unit : unitPlural));
+            if (subunits) parts.push(this.cardinal(subunits) + ' ' + (subunits === 1 ? subunit : subunitPlural));
+            return parts.join(' and ');
+        },
+    },
+
+    de: {
+        decimalMark: ',',
+        groupMark: '.',
+        dateSeparator: '.',
+        dateOrder: 'dmy',
+        timeSeparators: ':',
+        ordinalMarkers: '\\.(?=[ \\t\\u00A0]+\\p{L})',
+        point: 'Komma',
+        percent: 'Prozent',
+        minus: 'minus',
+        decadeMarkers: 'er',
+        meridiems: {am: 'vormittags', pm: 'nachmittags'},
+        capitalisedNouns: true,
+        ones: ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+            'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'],
+        tens: ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'],
+        months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September',
+            'Oktober', 'November', 'Dezember'],
+        currencies: {
+            '$': ['Dollar', 'Cent'],
+            '€': ['Euro', 'Cent'],
+            '£': ['Pfund', 'Pence'],
+        },
+        /**
+         * The ordinal ending after each article or contracted preposition. Ordinals not preceded by
+         * one of these words take the strong ending -er, as in "1. Mai" (erster Mai).
+         */
+        endings: {
+            e: ['der', 'die', 'das', 'ins', 'ans', 'aufs', 'jeder', 'jede', 'jedes', 'dieser', 'diese', 'dieses'],
+            en: ['den', 'dem', 'des', 'am', 'im', 'zum', 'zur', 'vom', 'beim', 'einen', 'einem', 'eines', 'einer',
+                'jeden', 'jedem', 'diesen', 'diesem', 'seinen', 'seinem', 'ihren', 'ihrem'],
+        },
+        cardinal(n) {
+            if (n < 20) return this.ones[n];
+            if (n < 100) return (n % 10 ? this.prefix(n % 10) + 'und' : '') + this.tens[Math.floor(n / 10)];
+            if (n < 1000) return this.prefix(Math.floor(n / 100)) + 'hundert' + (n % 100 ? this.cardinal(n % 100) : '');
+            if (n < 1e6) return this.prefix(Math.floor(n / 1000)) + 'tausend' + (n % 1000 ? this.cardinal(n % 1000) : '');
+            for (const [scale, one, many] of [[1e9, 'Milliarde', 'Milliarden'], [1e6, 'Million', 'Millionen']]) {
+                if (n < scale) continue;
+                const count = Math.floor(n / scale);
+                const rest = n % scale;
+                return this.cardinal(count).replace(/eins$/u, 'eine') + ' ' + (count === 1 ? one : many) +
+                    (rest ? ' ' + this.cardinal(rest) : '');
+            }
+        },
+        prefix(n) {
+            return this.cardinal(n).replace(/eins$/u, 'ein');
+        },
+        attributive(n, {gender}) {
+            return this.cardinal(n).replace(/eins$/u, gender === 'feminine' ? 'eine' : 'ein');
+        },
+        ordinal(n, {previous} = {}) {
+            const irregular = {1: 'erst', 3: 'dritt', 7: 'siebt', 8: 'acht'};
+            const rest = n % 100;
+            let stem;
+            if (rest && rest < 20) {
+                stem = (n - rest ? this.cardinal(n - rest) : '') + (irregular[rest] || this.ones[rest] + 't');
+            } else {
+                stem = this.cardinal(n) + 'st';
+            }
+            const ending = Object.keys(this.endings).find(e => this.endings[e].includes(previous)) || 'er';
+            return stem + ending;
+        },
+        regnal(n) {
+            return 'der ' + this.ordinal(n, {previous: 'der'});
+        },
+        year(n) {
+            if (n < 1000 || n >= 2000) return null;
+            if (n < 1100) return 'tausend' + (n % 1000 ? this.cardinal(n % 1000) : '');
+            return this.cardinal(Math.floor(n / 100)) + 'hundert' + (n % 100 ? this.cardinal(n % 100) : '');
+        },
+        time(hours, minutes, meridiem) {
+            return this.prefix(hours) + ' Uhr' + (minutes ? ' ' + this.cardinal(minutes) : '') +
+                (meridiem ? ' ' + this.meridiems[meridiem] : '');
+        },
+        decade(words) {
+            return words + 'er';
+        },
+        date(day, month, year, context) {
+            return this.ordinal(day, context) + ' ' + this.months[month - 1] + (year ? ' ' + year : '');
+        },
+        money(units, subunits, symbol) {
+            const [unit, subunit] = this.currencies[symbol];
+            if (!units && subunits) return this.cardinal(subunits) + ' ' + subunit;
+            return this.prefix(units) + ' ' + unit + (subunits ? ' ' + this.cardinal(subunits) : '');
+        },
+    },
+
+    fr: {
+        decimalMark: ',',
+        groupMark: '.',
+        dateSeparator: '/',
+        dateOrder: 'dmy',
+        timeSeparators: ':h',
+        ordinalMarkers: 'ère|ème|er|re|nde|nd|e',
+        point: 'virgule',
+        percent: 'pour cent',
+        minus: 'moins',
+        decadeMarkers: 's',
+        meridiems: {am: 'du matin', pm: 'du soir'},
+        ones: ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+            'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix sept', 'dix huit', 'dix neuf'],
+        tens: ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'],
+        months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre',
+            'octobre', 'novembre', 'décembre'],
+        currencies: {
+            '$': ['dollar', 'dollars', false],
+            '€': ['euro', 'euros', false],
+            '£': ['livre', 'livres', true],
+        },
+        cardinal(n, {feminine = false} = {}) {
+            return feminine ? this.cardinal(n).replace(/\bun$/u, 'une') : this.masculine(n);
+        },
+        attributive(n, {gender}) {
+            return this.cardinal(n, {feminine: gender === 'feminine'});
+        },
+        masculine(n) {
+            if (n < 20) return this.ones[n];
+            const ten = Math.floor(n / 10);
+            const unit = n % 10;
+            if (n < 70) return this.tens[ten] + (unit === 1 ? ' et un' : unit ? ' ' + this.ones[unit] : '');
+            if (n < 80) return 'soixante ' + (unit === 1 ? 'et ' : '') + this.ones[10 + unit];
+            if (n < 90) return 'quatre vingt' + (unit ? ' ' + this.ones[unit] : 's');
+            if (n < 100) return 'quatre vingt ' + this.ones[10 + unit];
+            if (n < 1000) {
+                const hundreds = Math.floor(n / 100);
+                return (hundreds > 1 ? this.ones[hundreds] + ' cent' + (n % 100 ? '' : 's') : 'cent') +
+                    (n % 100 ? ' ' + this.cardinal(n % 100) : '');
+            }
+            if (n < 1e6) {
+                const thousands = Math.floor(n / 1000);
+                return (thousands > 1 ? this.cardinal(thousands).replace(/(vingt|cent)s$/u, '$1') + ' mille' : 'mille') +
+                    (n % 1000 ? ' ' + this.cardinal(n % 1000) : '');
+            }
+            for (const [scale, name] of [[1e9, 'milliard'], [1e6, 'million']]) {
+                if (n < scale) continue;
+                const count = Math.floor(n / scale);
+                const rest = n % scale;
+                return this.cardinal(count) + ' ' + name + (count > 1 ? 's' : '') + (rest ? ' ' + this.cardinal(rest) : '');
+            }
+        },
+        ordinal(n, {marker = ''} = {}) {
+            const feminine = ['re', 'ère', 'nde'].includes(marker);
+            if (n === 1) return feminine ? 'première' : 'premier';
+            if (n === 2 && marker.startsWith('nd')) return feminine ? 'seconde' : 'second';
+            const words = this.cardinal(n).split(' ');
+            const last = words.pop()
+                .replace(/^cinq$/u, 'cinqu')
+                .replace(/^neuf$/u, 'neuv')
+                .replace(/(vingt|cent)s$/u, '$1')
+                .replace(/e$/u, '');
+            return [...words, last + 'ième'].join(' ');
+        },
+        time(hours, minutes, meridiem) {
+            return this.cardinal(hours, {feminine: true}) + (hours > 1 ? ' heures' : ' heure') +
+                (minutes ? ' ' + this.cardinal(minutes, {feminine: true}) : '') +
+                (meridiem ? ' ' + this.meridiems[meridiem] : '');
+        },
+        decade(words) {
+            return 'années ' + words;
+        },
+        date(day, month, year) {
+            return (day === 1 ? 'premier' : this.cardinal(day)) + ' ' + this.months[month - 1] + (year ? ' ' + year : '');
+        },
+        money(units, subunits, symbol) {
+            const [unit, plural, feminine] = this.currencies[symbol];
+            if (!units && subunits) return this.cardinal(subunits) + (subunits > 1 ? ' centimes' : ' centime');
+            return this.cardinal(units, {feminine}) + ' ' + (units > 1 ? plural : unit) +
+                (subunits ? ' ' + this.cardinal(subunits) : '');
+        },
+    },
+
+    es: {
+        decimalMark: ',',
+        groupMark: '.',
+        dateSeparator: '/',
+        dateOrder: 'dmy',
+        timeSeparators: ':',
+        ordinalMarkers: '\\.?º|\\.?ª|\\.?°|\\.?er',
+        point: 'coma',
+        percent: 'por ciento',
+        minus: 'menos',
+        decadeMarkers: 's',
+        meridiems: {am: 'de la mañana', pm: 'de la tarde'},
+        ones: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+            'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+            'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis',
+            'veintisiete', 'veintiocho', 'veintinueve'],
+        tens: ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'],
+        hundreds: ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+            'setecientos', 'ochocientos', 'novecientos'],
+        ordinals: ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo',
+            'noveno', 'décimo'],
+        months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre',
+            'octubre', 'noviembre', 'diciembre'],
+        currencies: {
+            '$': ['dólar', 'dólares', false],
+            '€': ['euro', 'euros', false],
+            '£': ['libra', 'libras', true],
+        },
+        cardinal(n, {feminine = false} = {}) {
+            const words = this.masculine(n);
+            return feminine ? words.replace(/uno$/u, 'una').replace(/ientos\b/gu, 'ientas') : words;
+        },
+        masculine(n) {
+            if (n < 30) return this.ones[n];
+            if (n < 100) return this.tens[Math.floor(n / 10)] + (n % 10 ? ' y ' + this.ones[n % 10] : '');
+            if (n === 100) return 'cien';
+            if (n < 1000) return this.hundreds[Math.floor(n / 100)] + (n % 100 ? ' ' + this.cardinal(n % 100) : '');
+            if (n < 1e6) {
+                const thousands = Math.floor(n / 1000);
+                return (thousands > 1 ? this.shortened(thousands) + ' mil' : 'mil') +
+                    (n % 1000 ? ' ' + this.cardinal(n % 1000) : '');
+            }
+            const millions = Math.floor(n / 1e6);
+            return (millions > 1 ? this.shortened(millions) + ' millones' : 'un millón') +
+                (n % 1e6 ? ' ' + this.cardinal(n % 1e6) : '');
+        },
+        shortened(n) {
+            return this.cardinal(n).replace(/veintiuno$/u, 'veintiún').replace(/uno$/u, 'un');
+        },
+        attributive(n, {gender}) {
+            return gender === 'feminine' ? this.cardinal(n, {feminine: true}) : this.shortened(n);
+        },
+        ordinal(n, {marker = ''} = {}) {
+            const feminine = /[ªa]$/u.test(marker);
+            if (n > 10) return this.cardinal(n, {feminine});
+            if (marker.endsWith('er')) return this.ordinals[n].replace(/o$/u, '');
+            return feminine ? this.ordinals[n].replace(/o$/u, 'a') : this.ordinals[n];
+        },
+        regnal(n) {
+            return this.ordinal(n);
+        },
+        time(hours, minutes, meridiem) {
+            if (meridiem) {
+                return this.cardinal(hours, {feminine: true}) + (minutes ? ' y ' + this.cardinal(minutes) : '') +
+                    ' ' + this.meridiems[meridiem];
+            }
+            return this.cardinal(hours, {feminine: true}) + (minutes ? ' y ' + this.cardinal(minutes) : ' en punto');
+        },
+        decade(words) {
+            return 'años ' + words;
+        },
+        date(day, month, year) {
+            return (day === 1 ? 'primero' : this.cardinal(day)) + ' de ' + this.months[month - 1] + (year ? ' de ' + year : '');
+        },
+        money(units, subunits, symbol) {
+            const [unit, plural, feminine] = this.currencies[symbol];
+            const cents = subunits ? this.cardinal(subunits) + (subunits > 1 ? ' céntimos' : ' céntimo') : '';
+            if (!units && subunits) return cents;
+            const amount = feminine ? this.cardinal(units, {feminine}) : this.shortened(units);
+            return amount + ' ' + (units > 1 ? plural : unit) + (cents ? ' con ' + cents : '');
+        },
+    },
+
+    it: {
+        decimalMark: ',',
+        groupMark: '.',
+        dateSeparator: '/',
+        dateOrder: 'dmy',
+        timeSeparators: ':',
+        ordinalMarkers: '\\.?º|\\.?ª|\\.?°',
+        point: 'virgola',
+        percent: 'per cento',
+        minus: 'meno',
+        decadeMarkers: 's',
+        meridiems: {am: 'del mattino', pm: 'di sera'},
+        ones: ['zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove', 'dieci',
+            'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove'],
+        tens: ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'],
+        ordinals: ['', 'primo', 'secondo', 'terzo', 'quarto', 'quinto', 'sesto', 'settimo', 'ottavo', 'nono', 'decimo'],
+        months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre',
+            'ottobre', 'novembre', 'dicembre'],
+        currencies: {
+            '$': ['dollaro', 'dollari', false],
+            '€': ['euro', 'euro', false],
+            '£': ['sterlina', 'sterline', true],
+        },
+        cardinal(n, {feminine = false} = {}) {
+            const words = this.compounded(n).replace(/tre$/u, n > 20 ? 'tré' : 'tre');
+            return feminine ? words.replace(/uno$/u, 'una') : words;
+        },
+        attributive(n, {gender, word}) {
+            if (gender === 'feminine') return this.cardinal(n, {feminine: true});
+            if (n !== 1) return this.cardinal(n);
+            return /^(?:s[^aeiouàèéìòù]|z|gn|ps|x|y)/u.test(word.toLowerCase()) ? 'uno' : 'un';
+        },
+        compounded(n) {
+            if (n < 20) return this.ones[n];
+            if (n < 100) {
+                const unit = n % 10;
+                const ten = this.tens[Math.floor(n / 10)];
+                return (unit === 1 || unit === 8 ? ten.slice(0, -1) : ten) + (unit ? this.ones[unit] : '');
+            }
+            if (n < 1000) {
+                const hundreds = Math.floor(n / 100);
+                return (hundreds > 1 ? this.ones[hundreds] : '') + 'cento' + (n % 100 ? this.compounded(n % 100) : '');
+            }
+            if (n < 1e6) {
+                const thousands = Math.floor(n / 1000);
+                return (thousands > 1 ? this.compounded(thousands) + 'mila' : 'mille') +
+                    (n % 1000 ? this.compounded(n % 1000) : '');
+            }
+            const millions = Math.floor(n / 1e6);
+            return (millions > 1 ? this.compounded(millions) + ' milioni' : 'un milione') +
+                (n % 1e6 ? ' ' + this.compounded(n % 1e6) : '');
+        },
+        ordinal(n, {marker = ''} = {}) {
+            const feminine = marker.endsWith('ª');
+            const masculine = n <= 10 ? this.ordinals[n] : this.compounded(n)
+                .replace(/(tre|sei)$/u, '$1e')
+                .replace(/[aeiou]$/u, '') + 'esimo';
+            return feminine ? masculine.replace(/o$/u, 'a') : masculine;
+        },
+        regnal(n) {
+            return this.ordinal(n);
+        },
+        time(hours, minutes, meridiem) {
+            return this.cardinal(hours, {feminine: true}) + (minutes ? ' e ' + this.cardinal(minutes) : '') +
+                (meridiem ? ' ' + this.meridiems[meridiem] : '');
+        },
+        decade(words) {
+            return 'anni ' + words;
+        },
+        date(day, month, year) {
+            return (day === 1 ? 'primo' : this.cardinal(day)) + ' ' + this.months[month - 1] + (year ? ' ' + year : '');
+        },
+        money(units, subunits, symbol) {
+            const [unit, plural, feminine] = this.currencies[symbol];
+            const cents = subunits ? this.cardinal(subunits) + (subunits > 1 ? ' centesimi' : ' centesimo') : '';
+            if (!units && subunits) return cents;
+            const amount = units === 1 ? (feminine ? 'una' : 'un') : this.cardinal(units);
+            return amount + ' ' + (units > 1 ? plural : unit) + (cents ? ' e ' + cents : '');
+        },
+    },
+};
+
+numberSpellers.en_US = {
+    ...numberSpellers.en,
+    dateOrder: 'mdy',
+    percent: 'percent',
+    meridiems: {am: 'ae em', pm: 'pee em'},
+    and: false,
+    date(day, month, year) {
+        return this.months[month - 1] + ' ' + this.ordinal(day) + (year ? ' ' + year : '');
+    },
+};
+
+/**
+ * Expands numbers, ordinals, dates, times, Roman numerals and amounts of money into words before
+ * dictionary lookup, using the number speller of a language. Abbreviations and acronyms are expanded
+ * from `processors/abbreviations/<language>.txt`. The position of every expansion in the original
+ * text is kept, so that token offsets can still point at the digits or the abbreviation.
+ */
+class TextNormalizer {
+    /**
+     * The number speller of the language.
+     * @type {?Object}
+     * @private
+     */
+    _speller = null;
+
+    /**
+     * The patterns tried at each position, in order, with the function expanding a match into words.
+     * @type {Array<{regex: RegExp, expand: function(Array, Object): ?string}>}
+     * @private
+     */
+    _patterns = [];
+
+    /**
+     * The abbreviations and their expansions.
+     * @type {Map<string, string>}
+     * @private
+     */
+    _abbreviations = new Map();
+
+    /**
+     * The words used to spell out each letter of an acronym. Letters without a name are spelled as
+     * the lowercase letter.
+     * @type {Object<string, string>}
+     * @private
+     */
+    _letterNames = {};
+
+    /**
+     * Acronyms that are read as words, e.g. NATO.
+     * @type {Set<string>}
+     * @private
+     */
+    _acronymWords = new Set();
+
+    /**
+     * Acronyms that are spelled out letter by letter, e.g. BBC.
+     * @type {Set<string>}
+     * @private
+     */
+    _spelledAcronyms = new Set();
+
+    /**
+     * Capitalised words after which a Roman numeral is a number rather than a ruler's ordinal, e.g.
+     * chapter in "Chapter IV".
+     * @type {Set<string>}
+     * @private
+     */
+    _numberedNouns = new Set();
+
+    /**
+     * The gender of each listed noun, 'feminine' or 'masculine', that numbers before it agree with.
+     * @type {Map<string, string>}
+     * @private
+     */
+    _nounGenders = new Map();
+
+    /**
+     * Loads the number speller and the abbreviations for the given language.
+     * @param {string} languageCode - The language code to load the speller and abbreviations for.
+     * @returns {boolean} True if the language has a number speller or an abbreviations file, false otherwise.
+     */
+    loadLanguage(languageCode) {
+        const speller = numberSpellers[languageCode] || numberSpellers[languageCode.split('_')[0]];
+        const hasAbbreviations = this.loadAbbreviationFile(languageCode);
+        if (!speller && !hasAbbreviations) return false;
+        if (speller) this.loadGenderFile(languageCode);
+        this._speller = speller || null;
+        this._patterns = [
+            ...(hasAbbreviations ? [this.buildAbbreviationPattern()] : []),
+            ...(speller ? this.buildPatterns(speller) : []),
+            ...(hasAbbreviations ? [this.buildAcronymPattern()] : []),
+        ];
+        return true;
+    }
+
+    /**
+     * Loads the abbreviations, letter names and acronym lists for the given language.
+     * @param {string} languageCode - The language code to load abbreviations for.
+     * @returns {boolean} True if the language has an abbreviations file, false otherwise.
+     */
+    loadAbbreviationFile(languageCode) {
+        const response = loadFile(`processors/abbreviations/${languageCode}.txt`);
+        if (response === null) return false;
+        const lists = {words: this._acronymWords, spelled: this._spelledAcronyms, numbered: this._numberedNouns};
+        for (const line of response.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('%')) continue;
+            const list = line.match(/^::(\p{L}+)::\s+=\s+(.*)$/u);
+            if (list && list[1] in lists) {
+                for (const word of list[2].split('|')) lists[list[1]].add(word.trim());
+                continue;
+            }
+            const [abbreviation, expansion, kind] = line.split(/\t/);
+            if (!(abbreviation && expansion)) continue;
+            if (kind === 'letter') this._letterNames[abbreviation] = expansion;
+            else this._abbreviations.set(abbreviation, expansion);
+        }
+        return true;
+    }
+
+    /**
+     * Loads the genders of nouns for the given language, listed as `::feminine::` and `::masculine::`.
+     * @param {string} languageCode - The language code to load noun genders for.
+     * @returns {boolean} True if the language has a genders file, false otherwise.
+     */
+    loadGenderFile(languageCode) {
+        const response = loadFile(`processors/genders/${languageCode}.txt`);
+        if (response === null) return false;
+        for (const line of response.split(/\r?\n/)) {
+            const list = line.match(/^::(feminine|masculine)::\s+=\s+(.*)$/u);
+            if (!list) continue;
+            for (const word of list[2].split('|')) this._nounGenders.set(word.trim(), list[1]);
         }
-        this._currentLevel = this.firstCharsLevel;
-        while (this._cursor < this._text.length) {
-            const char = this._text[this._cursor];
-            if (char in this._currentLevel) {
-                this._currentNode = this._currentLevel[char];
-                this._currentLevel = this._currentNode.nextCharsLevel;
-                if (this._currentNode.word) {
-                    this._lastNodeWithResult = this._currentNode;
-                    this._lastResultCursor = this._cursor;
-                }
-                this._cursor++;
-            } else if (this._lastNodeWithResult) {
-                this._result.push(this._lastNodeWithResult);
-                this._cursor = this._lastResultCursor + 1;
-                this._lastAddedCursor = this._cursor;
-                this.reset();
+        return true;
+    }
+
+    /**
+     * Builds the pattern matching the abbreviations of the lexicon, longest first. Abbreviations
+     * starting with a lowercase letter also match with an initial capital, e.g. at the start of a sentence.
+     *
+     * @returns {{regex: RegExp, expand: function(Array): ?string}} The pattern.
+     */
+    buildAbbreviationPattern() {
+        const escape = str => str.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+        const capitalise = str => str.charAt(0).toUpperCase() + str.slice(1);
+        const forms = [...this._abbreviations.keys()].flatMap(a => (a === capitalise(a) ? [a] : [a, capitalise(a)]));
+        forms.sort((a, b) => b.length - a.length);
+        const source = forms
+            .map(form => escape(form) + (/[\p{L}\p{N}]$/u.test(form) ? '(?![\\p{L}\\p{N}])' : ''))
+            .join('|');
+        return {
+            regex: new RegExp(source || '(?!)', 'uy'),
+            expand: m => this._abbreviations.get(m[0]) ||
+                this._abbreviations.get(m[0].charAt(0).toLowerCase() + m[0].slice(1)),
+        };
+    }
+
+    /**
+     * Builds the pattern matching acronyms: runs of two or more capitals, or of capitals each
+     * followed by a period (e.g. U.S.).
+     *
+     * @returns {{regex: RegExp, expand: function(Array, Object): ?string}} The pattern.
+     */
+    buildAcronymPattern() {
+        return {
+            regex: /(?:\p{Lu}\.){2,}|\p{Lu}{2,}(?![\p{L}\p{N}])/uy,
+            expand: (m, context) => this.spellAcronym(m[0], {
+                ...context,
+                amidCapitals: this.amidCapitals(m.input, m.index, m.index + m[0].length),
+            }),
+        };
+    }
+
+    /**
+     * Builds the patterns for the number formats of a language. Dates are tried before times,
+     * amounts of money, percentages, negative numbers, decades and ordinals, and plain numbers last.
+     * A time may end in am or pm, written "7am", "7 a.m." or "7 AM"; "7 am" is left alone, as "am"
+     * is a word in German.
+     *
+     * @param {Object} speller - The number speller of the language.
+     * @returns {Array<{regex: RegExp, expand: function(Array, Object): ?string}>} The patterns.
+     */
+    buildPatterns(speller) {
+        const escape = str => str.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+        const decimal = escape(speller.decimalMark);
+        const number = `\\d{1,3}(?:[${escape(speller.groupMark)}\\u00A0\\u202F]\\d{3})+(?:${decimal}\\d+)?|\\d+(?:${decimal}\\d+)?`;
+        const end = '(?![\\p{L}\\p{N}])';
+        const separator = escape(speller.dateSeparator);
+        const pattern = (source, expand) => ({regex: new RegExp(source + end, 'uy'), expand});
+        return [
+            pattern('(\\d{4})-(\\d{2})-(\\d{2})', (m, context) => this.spellDate(m[3], m[2], m[1], context)),
+            pattern(`(\\d{1,2})${separator}(\\d{1,2})${separator}(\\d{4}|\\d{2})${separator === '\\.' ? '?' : ''}`,
+                (m, context) => speller.dateOrder === 'mdy'
+                    ? this.spellDate(m[2], m[1], m[3], context)
+                    : this.spellDate(m[1], m[2], m[3], context)),
+            pattern(`(\\d{1,2})(?:[${speller.timeSeparators}](\\d{2}))?(?:[ \\u00A0]?([ap])\\.m\\.|([ap])m|[ \\u00A0]?([AP])M)`,
+                m => this.spellTime(m[1], m[2] || '0', (m[3] || m[4] || m[5]).toLowerCase() + 'm')),
+            pattern(`(\\d{1,2})[${speller.timeSeparators}](\\d{2})`, m => this.spellTime(m[1], m[2])),
+            pattern(`([$€£])[ \\u00A0]?(${number})`, m => this.spellMoney(m[2], m[1])),
+            pattern(`(${number})[ \\u00A0]?([$€£])`, m => this.spellMoney(m[1], m[2])),
+            pattern(`(${number})[ \\u00A0\\u202F]?%`, m => this.spellNumber(m[1]) + ' ' + speller.percent),
+            pattern(`[-−](${number})([ \\u00A0\\u202F]?%)?`, m =>
+                speller.minus + ' ' + this.spellNumber(m[1]) + (m[2] ? ' ' + speller.percent : '')),
+            pattern(`([1-9]0|\\d{3}0)(?:${speller.decadeMarkers})`, m => speller.decade(this.spellYear(m[1]))),
+            pattern(`(\\d+)(${speller.ordinalMarkers})`, (m, context) =>
+                speller.ordinal(Number(m[1]), {...context, marker: m[2]})),
+            pattern(number, m => this.spellNumber(m[0], this.nounAfter(m.input, m.index + m[0].length))),
+            pattern(`(?=[MDCLXVI])M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})(${speller.ordinalMarkers})?`,
+                (m, context) => this.spellRoman(m[0].slice(0, m[0].length - (m[1] || '').length), m[1], {
+                    ...context,
+                    afterName: this.followsName(m.input, m.index),
+                    afterCapitalised: this.capitalisedWordBefore(m.input, m.index) !== null,
+                })),
+        ];
+    }
+
+    /**
+     * Expands the numbers in the given text into words.
+     *
+     * @param {string} text - The text to normalize.
+     * @param {function(string, boolean=): *} [lookup] - Finds a word in the dictionary, in any case or,
+     *        if its second argument is true, only as written. Capitalised words that are in the
+     *        dictionary are not read as Roman numerals, and acronyms that are, as written, are not spelled out.
+     * @returns {{text: string, expansions: Array<{start: number, end: number, sourceStart: number, sourceEnd: number, text: string}>}}
+     *          The normalized text, and the position of each expansion in it and in the original text.
+     */
+    normalize(text, lookup = () => null) {
+        const expansions = [];
+        let normalized = '';
+        let i = 0;
+        while (i < text.length) {
+            const expansion = this.isCandidate(text, i) ? this.expandAt(text, i, lookup) : null;
+            if (expansion) {
+                expansions.push({
+                    start: normalized.length,
+                    end: normalized.length + expansion.text.length,
+                    sourceStart: i,
+                    sourceEnd: i + expansion.length,
+                    text: expansion.text,
+                });
+                normalized += expansion.text;
+                i += expansion.length;
             } else {
-                for (let i = this._lastAddedCursor || 0; i <= this._cursor; i++) {
-                    this._result.push(this._text[i]);
-                }
-                this._lastAddedCursor = this._cursor + 1;
-                this._cursor++;
-                this.reset();
+                normalized += text[i++];
             }
         }
+        return {text: normalized, expansions};
     }
 
     /**
-     * Loads a dictionary into the trie data structure.
-     * @param {string} dictionary - The dictionary to load.
+     * Returns whether an expansion may start at the given position: a letter, digit, currency sign
+     * or minus sign that does not continue a word or number.
+     *
+     * @param {string} text - The text being normalized.
+     * @param {number} index - The position to test.
+     * @returns {boolean} True if an expansion may start at the position.
      */
-    loadDictionary(dictionary) {
-        this._currentLanguageCode = dictionary;
-        if (this.hasDictionary(dictionary)) return;
-        this._loadedDictionaries[dictionary] = {};
-        const response = loadFile(`./processors/maps/${dictionary}.txt`);
-        const lines = response ? response.split(/\r?\n/) : [];
-        for (const line of lines) {
-            const [word, phonetic] = line.split(/\t/);
-            if (!(word && phonetic)) continue;
-            this.addWord(word.toLowerCase(), phonetic);
+    isCandidate(text, index) {
+        return /[\p{L}0-9$€£\-−]/u.test(text[index]) && !/[\p{L}\p{N}]/u.test(text[index - 1] || '');
+    }
+
+    /**
+     * Expands the first pattern that matches at the given position.
+     *
+     * @param {string} text - The text being normalized.
+     * @param {number} index - The position to expand at.
+     * @param {function(string): *} lookup - Finds a word in the dictionary.
+     * @returns {?{text: string, length: number}} The words and the length of the text they replace,
+     *          or null if nothing matches.
+     */
+    expandAt(text, index, lookup) {
+        const previous = /(\p{L}+)[^\p{L}\p{N}]*$/u.exec(text.slice(Math.max(0, index - 40), index));
+        const context = {previous: previous ? previous[1].toLowerCase() : null, lookup};
+        for (const {regex, expand} of this._patterns) {
+            regex.lastIndex = index;
+            const match = regex.exec(text);
+            const words = match && expand(match, context);
+            if (words) return {text: words, length: match[0].length};
         }
+        return null;
     }
-}
 
-class Rule {
     /**
-     * The string to replace in the word.
-     * @type {string}
-     * @private
+     * Spells out a number, with its decimal part read digit by digit. Numbers with leading zeros or
+     * too many digits are read digit by digit. Whole numbers before a noun of known gender agree with
+     * it where the language has an attributive form, e.g. Spanish "21 casas" is *veintiuna casas*,
+     * and other four-digit numbers are read as years where the language has a reading for them.
+     *
+     * @param {string} number - The number as written.
+     * @param {?{word: string, gender: string}} [noun] - The noun after the number, if any.
+     * @returns {string} The number in words.
      */
-    _toReplace = '';
+    spellNumber(number, noun = null) {
+        const [integer, fraction] = number.split(this._speller.decimalMark);
+        const digits = integer.replace(/\D/gu, '');
+        let words;
+        if (digits.length > 12 || (digits.length > 1 && digits.startsWith('0'))) {
+            words = this.spellDigits(digits);
+        } else if (noun && this._speller.attributive && !fraction) {
+            words = this._speller.attributive(Number(digits), noun);
+        } else if (digits === integer && digits.length === 4 && !fraction) {
+            words = this.spellYear(digits);
+        } else {
+            words = this._speller.cardinal(Number(digits));
+        }
+        return fraction ? words + ' ' + this._speller.point + ' ' + this.spellDigits(fraction) : words;
+    }
 
     /**
-     * The replacement string to use.
-     * @type {string}
-     * @private
+     * Returns the noun right after a number and its gender, if the gender is known: the noun is
+     * listed in the genders file, in the singular or in a plural in -s or -es, or, in languages that
+     * capitalise nouns, it is capitalised and taken to be masculine unless listed.
+     *
+     * @param {string} text - The text.
+     * @param {number} end - The end of the number.
+     * @returns {?{word: string, gender: string}} The noun and its gender, or null if none is known.
      */
-    _replacement = '';
+    nounAfter(text, end) {
+        const next = /^[ \u00A0]+(\p{L}+)(?![\p{L}\p{N}])/u.exec(text.slice(end, end + 40));
+        if (!next) return null;
+        const word = next[1];
+        const lower = word.toLowerCase();
+        const form = [word, lower, lower.replace(/s$/u, ''), lower.replace(/es$/u, '')]
+            .find(f => this._nounGenders.has(f));
+        if (form) return {word, gender: this._nounGenders.get(form)};
+        return this._speller.capitalisedNouns && /^\p{Lu}/u.test(word) ? {word, gender: 'masculine'} : null;
+    }
 
     /**
-     * The prefix string to match in the word.
-     * @type {?string}
-     * @private
+     * Spells out a string of digits one by one.
+     *
+     * @param {string} digits - The digits.
+     * @returns {string} The digits in words.
      */
-    _prefix = null;
+    spellDigits(digits) {
+        return [...digits].map(d => this._speller.cardinal(Number(d))).join(' ');
+    }
 
     /**
-     * The suffix string to match in the word.
-     * @type {?string}
-     * @private
+     * Spells out a year.
+     *
+     * @param {string} year - The year as written.
+     * @returns {string} The year in words.
      */
-    _suffix = null;
+    spellYear(year) {
+        const n = Number(year);
+        return (this._speller.year && this._speller.year(n)) || this._speller.cardinal(n);
+    }
 
     /**
-     * Creates a new rule from the given string and character groups.
-     * @param {string} rule - The rule string to parse.
-     * @param {Object<string, string>} charGroups - The character groups to use for prefix/suffix matching.
+     * Spells out a date, or returns null if the day or month is out of range.
+     *
+     * @param {string} day - The day as written.
+     * @param {string} month - The month as written.
+     * @param {?string} year - The year as written, if any.
+     * @param {Object} context - The context of the date, e.g. the word before it.
+     * @returns {?string} The date in words.
+     */
+    spellDate(day, month, year, context) {
+        const d = Number(day);
+        const m = Number(month);
+        if (d < 1 || d > 31 || m < 1 || m > 12) return null;
+        return this._speller.date(d, m, year ? this.spellYear(year) : null, context);
+    }
+
+    /**
+     * Spells out a time of day, or returns null if the hours or minutes are out of range.
+     *
+     * @param {string} hours - The hours as written.
+     * @param {string} minutes - The minutes as written.
+     * @param {?string} [meridiem] - 'am' or 'pm', if the time is written with one.
+     * @returns {?string} The time in words.
+     */
+    spellTime(hours, minutes, meridiem = null) {
+        const h = Number(hours);
+        const m = Number(minutes);
+        if (h > (meridiem ? 12 : 24) || (meridiem && h < 1) || m > 59) return null;
+        return this._speller.time(h, m, meridiem);
+    }
+
+    /**
+     * Spells out an amount of money.
+     *
+     * @param {string} amount - The amount as written.
+     * @param {string} symbol - The currency sign.
+     * @returns {?string} The amount in words, or null if the amount has more than two decimals.
      */
-    constructor(rule, charGroups) {
-        const [strings, match] = rule.split(/\s+\/\s+/u);
-        [this._toReplace, this._replacement] = strings.split(/\s+->\s+/u);
-        [this._prefix, this._suffix] = match.split(/\s?_\s?/u);
+    spellMoney(amount, symbol) {
+        const [units, subunits = ''] = amount.split(this._speller.decimalMark);
+        if (subunits.length > 2) return null;
+        return this._speller.money(Number(units.replace(/\D/gu, '')), Number(subunits.padEnd(2, '0')), symbol);
+    }
 
-        // Replace any character groups in prefix/suffix with their respective values
-        for (const [key, value] of Object.entries(charGroups)) {
-            const charGroupRegex = new RegExp(key, 'gu');
-            this._prefix = this._prefix ? this._prefix.replace(charGroupRegex, value)
-                .replace(/#/u, '^') : '';
-            this._suffix = this._suffix ? this._suffix.replace(charGroupRegex, value)
-                .replace(/#/u, '$') : '';
+    /**
+     * Spells out a Roman numeral as a cardinal, or as an ordinal when it carries an ordinal marker.
+     * After a name, as in "Henry VIII", it is read as the ruler's ordinal where the language has one.
+     * A numeral of one letter is only read if it is I or V after a capitalised word, as in "Henry V"
+     * or "Part I". Numerals of more letters that are also dictionary words, and listed acronyms, are
+     * left alone.
+     *
+     * @param {string} numeral - The Roman numeral.
+     * @param {?string} marker - The ordinal marker after the numeral, if any.
+     * @param {Object} context - The context of the numeral, e.g. the word before it and whether it
+     *        comes `afterName` or `afterCapitalised`.
+     * @returns {?string} The numeral in words, or null if it is a dictionary word.
+     */
+    spellRoman(numeral, marker, context) {
+        if (numeral.length === 1 && !(context.afterCapitalised && /^[IV]$/u.test(numeral))) return null;
+        if (numeral.length > 1 && context.lookup(numeral)) return null;
+        if (this._spelledAcronyms.has(numeral) || this._acronymWords.has(numeral)) return null;
+        const values = {I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000};
+        let n = 0;
+        for (let i = 0; i < numeral.length; i++) {
+            const value = values[numeral[i]];
+            n += value < (values[numeral[i + 1]] || 0) ? -value : value;
         }
+        if (context.afterName && this._speller.regnal) return this._speller.regnal(n);
+        return marker ? this._speller.ordinal(n, {...context, marker}) : this._speller.cardinal(n);
+    }
 
-        // Remove any zero in the replacement string
-        this._replacement = this._replacement.replace(/0/u, '');
+    /**
+     * Returns whether a Roman numeral follows a name, i.e. a capitalised word that is not listed as
+     * one that numbers things, such as "Chapter".
+     *
+     * @param {string} text - The text.
+     * @param {number} start - The start of the numeral.
+     * @returns {boolean} True if the numeral follows a name.
+     */
+    followsName(text, start) {
+        const previous = this.capitalisedWordBefore(text, start);
+        return previous !== null && !this._numberedNouns.has(previous);
     }
 
     /**
-     * The regex pattern for this rule.
-     * @type {RegExp}
+     * Returns the capitalised word right before the given position, separated from it by a space.
+     *
+     * @param {string} text - The text.
+     * @param {number} start - The position.
+     * @returns {?string} The word, lowercase, or null if the word before is not capitalised.
      */
-    get regex() {
-        return new RegExp(`(${this._prefix})(${this._toReplace})(${this._suffix})`, 'ug');
+    capitalisedWordBefore(text, start) {
+        const previous = /(\p{Lu}\p{Ll}+)[ \u00A0]$/u.exec(text.slice(Math.max(0, start - 40), start));
+        return previous ? previous[1].toLowerCase() : null;
     }
 
     /**
-     * Applies this rule to the given word.
-     * @param {string} word - The word to apply the rule to.
-     * @returns {string} The resulting transformed word.
+     * Spells out an acronym letter by letter, unless it is read as a word. Acronyms are read as
+     * words when they are listed as such or are dictionary words in capitals, or in any case amid
+     * other words in capitals, as in a title written in capitals, and otherwise when they are at
+     * least four letters long and easy to pronounce, e.g. NATO but not BBC or HTML. Acronyms written
+     * with periods are always spelled out.
+     *
+     * @param {string} acronym - The acronym as written.
+     * @param {Object} context - The context of the acronym, with the dictionary lookup and whether it is
+     *        `amidCapitals`.
+     * @returns {?string} The letter names, or null if the acronym is read as a word.
      */
-    apply(word) {
-        return word.replace(this.regex, (_m, a, _b, c) => a + this._replacement + c);
+    spellAcronym(acronym, context) {
+        const letters = acronym.replace(/\./gu, '');
+        const spelled = letters !== acronym || this._spelledAcronyms.has(letters) ||
+            !(this._acronymWords.has(letters) || context.lookup(letters, !context.amidCapitals) || this.isPronounceable(letters));
+        return spelled ? [...letters].map(l => this._letterNames[l] || l.toLowerCase()).join(' ') : null;
+    }
+
+    /**
+     * Returns whether the word before or after a run of capitals is also written in capitals, so that
+     * the run is more likely a word of a title or heading in capitals than an acronym.
+     *
+     * @param {string} text - The text.
+     * @param {number} start - The start of the run of capitals.
+     * @param {number} end - The end of the run of capitals.
+     * @returns {boolean} True if a neighbouring word is in capitals.
+     */
+    amidCapitals(text, start, end) {
+        const previous = /(\p{L}+)[^\p{L}\p{N}]*$/u.exec(text.slice(Math.max(0, start - 40), start));
+        const next = /^[^\p{L}\p{N}]*(\p{L}+)/u.exec(text.slice(end, end + 40));
+        return [previous, next].some(word => word && /^\p{Lu}{2,}$/u.test(word[1]));
+    }
+
+    /**
+     * Returns whether a word of capitals can be read as a word: it is at least four letters long, has
+     * a vowel, and has no cluster of three consonants nor two at either end.
+     *
+     * @param {string} word - The word to test.
+     * @returns {boolean} True if the word can be read as a word.
+     */
+    isPronounceable(word) {
+        const shape = word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+            .replace(/[aeiouy]/gu, 'V').replace(/[^V]/gu, 'C');
+        return shape.length >= 4 && shape.includes('V') && !/CCC|^CC|CC$/u.test(shape);
     }
 }
 
 /**
- * A class that processes words using a set of language rules.
+ * The dialects of languages that have more than one dictionary, and the language code of each
+ * dialect's dictionary. The `default` dialect is used when none is given.
+ *
+ * @type {Object<string, Object<string, string>>}
  */
-class RuleProcessor {
+const dialects = {
+    vi: {default: 'hanoi', hanoi: 'vi_N', hue: 'vi_C', saigon: 'vi_S'},
+};
+
+/**
+ * A facade for translating text to IPA. Every call builds its own steppers, so calls for different
+ * languages cannot disturb each other's state. The loaded dictionaries, maps and rule processors are
+ * shared read-only between calls, and by default between every Transliterator instance.
+ */
+class Transliterator {
     /**
-     * The list of rules to be applied to words.
+     * The dictionaries shared by Transliterator instances that are not given their own.
+     * @type {{words: Object, orthography: Object, rulePreprocessors: Object, rulePostprocessors: Object, syllabifiers: Object, sandhiProcessors: Object, compoundSplitters: Object, suffixStrippers: Object, liaisons: Object, textNormalizers: Object, tokenizers: Object, heteronymResolvers: Object}}
      * @private
-     * @type {Rule[]}
      */
-    _rules = [];
+    static _sharedDictionaries = {
+        words: {},
+        orthography: {},
+        rulePreprocessors: {},
+        rulePostprocessors: {},
+        syllabifiers: {},
+        sandhiProcessors: {},
+        compoundSplitters: {},
+        suffixStrippers: {},
+        liaisons: {},
+        textNormalizers: {},
+        tokenizers: {},
+        heteronymResolvers: {},
+    };
 
     /**
-     * Loads the language rules for the specified language and rule type.
-     * @param {string} languageCode - The language code to load rules for.
-     * @param {string} type - The type of rules to load (e.g. "stemming", "inflection").
+     * The dictionaries used by this instance.
+     * @type {{words: Object, orthography: Object, rulePreprocessors: Object, rulePostprocessors: Object, syllabifiers: Object, sandhiProcessors: Object, compoundSplitters: Object, suffixStrippers: Object, liaisons: Object, textNormalizers: Object, tokenizers: Object, heteronymResolvers: Object}}
+     * @private
      */
-    loadRuleFile(languageCode, type) {
-        const response = loadFile(`processors/rules/${type}s/${languageCode}.txt`);
-        if (!response) return;
-        const charGroupRegex = /^::\p{L}+?::\s+?=\s+?[\p{L}|]+/gmu;
-        const ruleRegex = /^[\p{L}\[\]|]+?\s+->\s+[\p{L}\p{M}\[\]<>|0]+\s+\/\s+.*?$/gmu;
-        const foundCharGroups = response.match(charGroupRegex);
-        const charGroups = foundCharGroups
-            ? foundCharGroups.reduce((obj, m) => {
-                const [key, value] = m.split(/\s+=\s+/);
-                return {...obj, [key]: value};
-            }, {})
-            : {};
-        const rules = response.match(ruleRegex);
-        this._rules = rules
-            ? rules.map(r => new Rule(r, charGroups))
-            : [];
+    _dictionaries;
+
+    /**
+     * Default options applied to every call.
+     * @type {Object}
+     * @private
+     */
+    _defaultOptions;
+
+    /**
+     * The normalizer applied to the text, dictionaries and rule files.
+     * @type {UnicodeNormalizer}
+     * @private
+     */
+    _unicodeNormalizer;
+
+    /**
+     * Constructs a new Transliterator.
+     *
+     * @param {Object} [defaultOptions={}] - Options applied to every call, e.g. {variantStrategy: 'strong'}.
+     * @param {Object} [dictionaries] - Dictionaries to use instead of the shared ones. A store for every
+     *        kind of dictionary it lacks is added to it, so an empty object can be given, and
+     *        Transliterators given the same object share what they load.
+     * @param {UnicodeNormalizer} [unicodeNormalizer] - The normalizer to use instead of the default one.
+     *        Dictionaries are normalized as they are loaded, so a Transliterator with a normalizer of its
+     *        own should also be given dictionaries of its own.
+     */
+    constructor(defaultOptions = {}, dictionaries = Transliterator._sharedDictionaries,
+        unicodeNormalizer = defaultUnicodeNormalizer) {
+        this._defaultOptions = defaultOptions;
+        for (const kind of Object.keys(Transliterator._sharedDictionaries)) {
+            if (!dictionaries[kind]) dictionaries[kind] = {};
+        }
+        this._dictionaries = dictionaries;
+        this._unicodeNormalizer = unicodeNormalizer;
     }
 
     /**
-     * Processes a word by applying all loaded rules to it.
-     * @param {string} word - The word to process.
-     * @returns {string} The processed word.
+     * Creates a word stepper, with its orthography stepper, for the given language.
+     *
+     * @param {string} language - The language code.
+     * @returns {TrieWordStepper} A word stepper ready to translate text.
+     * @throws {Error} If no language is given.
      */
-    process(word) {
-        if (!this._rules.length) return word;
-        return this._rules.reduce((w, r) => r.apply(w), word);
+    createStepper(language) {
+        if (!language) throw new Error('A language must be given');
+        const {words, orthography, rulePreprocessors, rulePostprocessors} = this._dictionaries;
+        const trieWord = new TrieWordStepper(words);
+        trieWord.unicodeNormalizer = this._unicodeNormalizer;
+        trieWord.loadDictionary(language);
+        const trieOrthography = new TrieOrthographyStepper(
+            orthography, rulePreprocessors, rulePostprocessors, this.cache('syllabifiers'));
+        trieOrthography.unicodeNormalizer = this._unicodeNormalizer;
+        trieOrthography.loadDictionary(language);
+        trieOrthography.addRulePreprocessorForLanguage(language);
+        trieOrthography.addRulePostprocessorForLanguage(language);
+        trieOrthography.addSyllabifierForLanguage(language);
+        trieWord.addOrthographyStepper(trieOrthography);
+        trieWord.addSandhiProcessor(this.sandhiProcessorFor(language));
+        trieWord.addLiaison(this.liaisonFor(language));
+        trieWord.addSuffixStripper(this.suffixStripperFor(language));
+        trieWord.addCompoundSplitter(this.compoundSplitterFor(language));
+        trieWord.addTextNormalizer(this.textNormalizerFor(language));
+        trieWord.addTokenizer(this.tokenizerFor(language));
+        trieWord.addHeteronymResolver(this.heteronymResolverFor(language));
+        return trieWord;
+    }
+
+    /**
+     * Returns the heteronym resolver for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {?HeteronymResolver} The heteronym resolver, or null if the language has no heteronyms
+     *          file or corpus.
+     */
+    heteronymResolverFor(language) {
+        return this.cached('heteronymResolvers', language, () => {
+            const heteronymResolver = new HeteronymResolver();
+            heteronymResolver.unicodeNormalizer = this._unicodeNormalizer;
+            return heteronymResolver.loadHeteronymFile(language) ? heteronymResolver : null;
+        });
+    }
+
+    /**
+     * Returns the tokenizer for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {Tokenizer} The tokenizer, which has no exceptions if the language has no tokenizer file.
+     */
+    tokenizerFor(language) {
+        return this.cached('tokenizers', language, () => {
+            const tokenizer = new Tokenizer();
+            tokenizer.loadTokenizerFile(language);
+            return tokenizer;
+        });
+    }
+
+    /**
+     * Returns the text normalizer for the given language, creating it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {?TextNormalizer} The text normalizer, or null if the language has no number speller.
+     */
+    textNormalizerFor(language) {
+        return this.cached('textNormalizers', language, () => {
+            const textNormalizer = new TextNormalizer();
+            return textNormalizer.loadLanguage(language) ? textNormalizer : null;
+        });
+    }
+
+    /**
+     * Returns the compound splitter for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {?CompoundSplitter} The compound splitter, or null if the language has no compounds file.
+     */
+    compoundSplitterFor(language) {
+        return this.cached('compoundSplitters', language, () => {
+            const compoundSplitter = new CompoundSplitter();
+            return compoundSplitter.loadLinkingFile(language) ? compoundSplitter : null;
+        });
+    }
+
+    /**
+     * Returns the sandhi rule processor for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {RuleProcessor} The rule processor, which has no rules if the language has no sandhi file.
+     */
+    sandhiProcessorFor(language) {
+        return this.cached('sandhiProcessors', language, () => {
+            const ruleProcessor = new RuleProcessor();
+            ruleProcessor.unicodeNormalizer = this._unicodeNormalizer;
+            ruleProcessor.loadRuleFile(language, 'sandhi');
+            return ruleProcessor;
+        });
+    }
+
+    /**
+     * Returns the liaison component for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {?FrenchLiaison} The liaison component, or null if the language has no liaison file.
+     */
+    liaisonFor(language) {
+        return this.cached('liaisons', language, () => {
+            const liaison = new FrenchLiaison();
+            return liaison.loadLiaisonFile(language) ? liaison : null;
+        });
+    }
+
+    /**
+     * Returns the suffix stripper for the given language, loading it on first use.
+     *
+     * @param {string} language - The language code.
+     * @returns {?SuffixStripper} The suffix stripper, or null if the language has no suffixes file.
+     */
+    suffixStripperFor(language) {
+        return this.cached('suffixStrippers', language, () => {
+            const suffixStripper = new SuffixStripper();
+            return suffixStripper.loadSuffixFile(language) ? suffixStripper : null;
+        });
+    }
+
+    /**
+     * Returns a language-specific component from the shared dictionaries, creating it on first use.
+     *
+     * @param {string} kind - The kind of component, e.g. 'compoundSplitters'.
+     * @param {string} language - The language code.
+     * @param {function(): *} create - Creates the component.
+     * @returns {*} The component.
+     */
+    cached(kind, language, create) {
+        const components = this.cache(kind);
+        if (!(language in components)) components[language] = create();
+        return components[language];
+    }
+
+    /**
+     * Returns the shared store of one kind of language-specific component, creating it if needed.
+     *
+     * @param {string} kind - The kind of component, e.g. 'compoundSplitters'.
+     * @returns {Object} The components keyed by language code.
+     */
+    cache(kind) {
+        return this._dictionaries[kind] || (this._dictionaries[kind] = {});
+    }
+
+    /**
+     * Returns the language code of the dictionary for a dialect of the given language.
+     *
+     * @param {string} language - The language code, e.g. 'vi'.
+     * @param {?string} [dialect] - The dialect, e.g. 'hue', or nothing for the default dialect.
+     * @returns {string} The language code of the dialect's dictionary, e.g. 'vi_C', or the language
+     *          code itself for languages without dialects.
+     * @throws {Error} If a dialect is given that the language does not have.
+     */
+    resolveDialect(language, dialect) {
+        const languageDialects = dialects[language];
+        if (!languageDialects) {
+            if (dialect) throw new Error(`Unknown dialect of ${language}: ${dialect}`);
+            return language;
+        }
+        const resolved = languageDialects[dialect || languageDialects.default];
+        if (!resolved || dialect === 'default') throw new Error(`Unknown dialect of ${language}: ${dialect}`);
+        return resolved;
+    }
+
+    /**
+     * Translates the given text.
+     *
+     * @param {string} text - The text to translate.
+     * @param {Object} options - Translation options, as for `TrieWordStepper.translateText`.
+     * @param {string} options.language - The language code of the text.
+     * @param {string} [options.dialect] - The dialect of the language, for languages listed in `dialects`.
+     * @returns {string} The translated text.
+     */
+    translate(text, {language, ...options} = {}) {
+        const {dialect, ...callOptions} = {...this._defaultOptions, ...options};
+        return this.createStepper(this.resolveDialect(language, dialect)).translateText(text, callOptions);
+    }
+
+    /**
+     * Translates the given text and returns one record per token.
+     *
+     * @param {string} text - The text to translate.
+     * @param {Object} options - Translation options, as for `TrieWordStepper.translateText`.
+     * @param {string} options.language - The language code of the text.
+     * @param {string} [options.dialect] - The dialect of the language, for languages listed in `dialects`.
+     * @returns {Array<Object>} The token records, as returned by `TrieWordStepper.translateTokens`.
+     */
+    translateTokens(text, {language, ...options} = {}) {
+        const {dialect, ...callOptions} = {...this._defaultOptions, ...options};
+        return this.createStepper(this.resolveDialect(language, dialect)).translateTokens(text, callOptions);
+    }
+
+    /**
+     * Explains how a word is pronounced by the orthography rules of a language: the spelling after
+     * each preprocessor rule, the map segments chosen, the IPA after each postprocessor rule and the
+     * result, as returned by `TrieOrthographyStepper.explain`.
+     *
+     * @param {string} word - The word to explain.
+     * @param {string} language - The language code of the word.
+     * @returns {Object} The derivation, as returned by `TrieWordStepper.explain`.
+     */
+    explain(word, language) {
+        return this.createStepper(this.resolveDialect(language)).explain(word);
     }
-}
 
-const trieWord = new TrieWordStepper();
-const trieOrthography = new TrieOrthographyStepper();
+    /**
+     * Translates the given text into an interlinear gloss: each line of the text is followed by its
+     * IPA, with every word above its own pronunciation. Lines of right-to-left text are isolated as
+     * right-to-left and the IPA of each of their words as left-to-right, so that the columns of both
+     * lines run the same way however they are displayed.
+     *
+     * @param {string} text - The text to translate.
+     * @param {Object} options - Translation options, as for `translate`.
+     * @param {string} options.language - The language code of the text.
+     * @returns {string} Two lines per line of the text, with a blank line between each pair.
+     */
+    translateInterlinear(text, options = {}) {
+        const lines = [[]];
+        for (const token of this.translateTokens(text, options)) {
+            if (token.type !== 'passthrough') {
+                lines[lines.length - 1].push({surface: token.surface, ipa: token.ipa, rtl: token.direction === 'rtl'});
+                continue;
+            }
+            token.surface.split(/\r?\n/u).forEach((piece, i) => {
+                if (i > 0) lines.push([]);
+                const punctuation = piece.replace(/[\s\p{Cf}]/gu, '');
+                if (punctuation) lines[lines.length - 1].push({surface: punctuation, ipa: punctuation, rtl: false});
+            });
+        }
+        return lines.map(cells => this.interlinearLines(cells)).join('\n\n');
+    }
+
+    /**
+     * Lays out one line of an interlinear gloss as a line of words over a line of IPA, padding each
+     * column to the wider of the two.
+     *
+     * @param {Array<{surface: string, ipa: string, rtl: boolean}>} cells - The words of the line.
+     * @returns {string} The two lines.
+     */
+    interlinearLines(cells) {
+        const width = str => [...str].filter(char => !/[\p{M}\p{Cf}]/u.test(char)).length;
+        const columns = cells.map(cell => Math.max(width(cell.surface), width(cell.ipa)));
+        const pad = (str, i, cell = str) => cell + ' '.repeat(columns[i] - width(str));
+        const surfaces = cells.map((cell, i) => pad(cell.surface, i)).join(' ').trimEnd();
+        if (!cells.some(cell => cell.rtl)) {
+            return surfaces + '\n' + cells.map((cell, i) => pad(cell.ipa, i)).join(' ').trimEnd();
+        }
+        // Right-to-left isolate (RLI), left-to-right isolate (LRI) and pop directional isolate (PDI)
+        const [rli, lri, pdi] = ['\u2067', '\u2066', '\u2069'];
+        const ipas = cells.map((cell, i) => pad(cell.ipa, i, lri + cell.ipa + pdi)).join(' ').trimEnd();
+        return rli + surfaces + pdi + '\n' + rli + ipas + pdi;
+    }
+}
 
 /**
- * Translates the given text to the specified language using the provided trie-based dictionary and orthography steppers.
+ * Translates the given text to the specified language using the shared dictionaries.
  * @param {string} language - The language code to translate the text to.
  * @param {string} text - The text to translate.
  * @returns {string} The translated text.
  */
 function translate(language, text) {
-    trieWord.loadDictionary(language);
-    trieOrthography.loadDictionary(language);
-    trieOrthography.addRulePreprocessorForLanguage(language);
-    trieOrthography.addRulePostprocessorForLanguage(language);
-    trieWord.addOrthographyStepper(trieOrthography);
-    const result = trieWord.translateText(text);
-    trieWord.clear();
-    return result;
+    return new Transliterator().translate(text, {language});
 }
 
 
@@ -800,14 +5818,71 @@ function logTranslation(languageCode, title, text) {
     console.log('----\n\n');
 }
 
+/**
+ * Checks rule files and orthography maps for mistakes, as `RuleLinter` does.
+ * @param {string[]} [files=[]] - The files to check, relative to the working directory; all the rule
+ *        files and maps under `processors` if none are given.
+ * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found.
+ */
+function lintRuleFiles(files = []) {
+    const linter = new RuleLinter();
+    return files.length ? files.flatMap(file => linter.lintFile(file)) : linter.lintAll();
+}
+
+/**
+ * Logs the problems found in rule files and maps, one per line as `file:line: severity: message`,
+ * and sets a failing exit code if any of them is an error, for use as a pre-commit check.
+ * @param {string[]} files - The files to check; all of them if none are given.
+ */
+function logLint(files) {
+    const problems = lintRuleFiles(files);
+    for (const {file, line, severity, message} of problems) console.log(`${file}:${line}: ${severity}: ${message}`);
+    if (problems.some(problem => problem.severity === 'error')) process.exitCode = 1;
+}
+
+/**
+ * Logs how a word is pronounced by the orthography rules of a language, step by step.
+ * @param {string} languageCode - The language code of the word.
+ * @param {string} word - The word to explain.
+ */
+function logExplanation(languageCode, word) {
+    const explanation = new Transliterator().explain(word, languageCode);
+    const logRules = rules => {
+        for (const {rule, file, line, before, after} of rules) {
+            console.log(`  ${before} -> ${after}    ${rule}${file ? `    (${file}:${line})` : ''}`);
+        }
+    };
+    console.log(`${languageCode}: ${word}`);
+    if (explanation.dictionary) console.log(`dictionary: ${explanation.dictionary}`);
+    console.log(`spelling: ${explanation.spelling}`);
+    logRules(explanation.preprocessor);
+    const segments = explanation.segments.map(s => (s.mapped ? `${s.spelling}=${s.ipa}` : s.spelling));
+    console.log(`map: ${segments.join(' ')}`);
+    logRules(explanation.postprocessor);
+    console.log(`result: ${explanation.ipa}`);
+    for (const warning of explanation.warnings) console.log(`warning: ${warning}`);
+    console.log('');
+}
+
 const examples = [
     {languageCode: 'de', title: 'Erlkönig', text: 'Wer reitet so spät durch Nacht und Wind?\nEs ist der Vater mit seinem Kind:\nEr hat den Knaben wohl in dem Arm,\nEr fasst ihn sicher, er hält ihn warm.\n„Mein Sohn, was birgst du so bang dein Gesicht?“\n„Siehst, Vater, du den Erlkönig nicht?\nDen Erlenkönig mit Kron’ und Schweif?“\n„Mein Sohn, es ist ein Nebelstreif.“\n„Du liebes Kind, komm, geh mit mir!\nGar schöne Spiele spiel’ ich mit dir;\nManch’ bunte Blumen sind an dem Strand,\nMeine Mutter hat manch gülden Gewand.“\n„Mein Vater, mein Vater, und hörest du nicht,\nWas Erlenkönig mir leise verspricht?“\n„Sei ruhig, bleibe ruhig, mein Kind:\nIn dürren Blättern säuselt der Wind.“\n„Willst, feiner Knabe, du mit mir gehn?\nMeine Töchter sollen dich warten schön;\nMeine Töchter führen den nächtlichen Rein\nUnd wiegen und tanzen und singen dich ein.“\n„Mein Vater, mein Vater, und siehst du nicht dort\nErlkönigs Töchter am düstern Ort?“\n„Mein Sohn, mein Sohn, ich seh es genau:\nEs scheinen die alten Weiden so grau.“\n„Ich liebe dich, mich reizt deine schöne Gestalt;\nUnd bist du nicht willig, so brauch ich Gewalt.“\n„Mein Vater, mein Vater, jetzt fasst er mich an!\nErlkönig hat mir ein Leids getan!“\nDem Vater grausets, er reitet geschwind,\nEr hält in Armen das ächzende Kind,\nErreicht den Hof mit Mühe und Not:\nIn seinen Armen das Kind war tot.'},
     {languageCode: 'fr_FR', title: 'L’Heure exquise', text: 'La lune blanche\nLuit dans les bois;\nDe chaque branche\nPart une voix\nSous la ramée...\nÔ bien aimée.\nL\'étang reflète,\nProfond miroir,\nLa silhouette\nDu saule noir\nOù le vent pleure...\nRêvons, c\'est l\'heure.\nUn vaste et tendre\nApaisement\nSemble descendre\nDu firmament\nQue l\'astre irise...\nC\'est l\'heure exquise.'},
     {languageCode: 'es_ES', title: 'El curandero', text: 'Hoy al portal ha venido\nun saltimbanqui de aquellos\nque en los pueblos donde acuden\ndicen que son curanderos;\nestos traen mil invenciones\nde bálsamos y remedios\ny hoy que ha nacido el del mundo\nviene uno que habla por ciento.\n\nO li pastorcilli,\nO li zagaleco\nvenite al pórtalo\naqui videremo\nque io so magistro\ndi tuti remedio,\ndi grande, di chiqui,\ndi malo, di bueno.\n\nR.: Venid, pastorcillos,\nvenid zagalejos,\nveamos qué dice\nel tal curandero\nal Niño precioso\nque lo oye riyendo.\n\nO, e cosi espantosi,\nO, e grandi consuelo\nli balsamo porto\nque sana los muertos,\ndoy dientes a viecas,\ndoy ochios a tuertos,\na los corcubatus\nles pongo derechos\ny a los porfiatos\nles curo lo necio.\n\nJesús solamente\npudiera hacer eso.\nCarissimi, sapia\nque io so maiestro\ndi femina, di huomo,\ndi bianchi, di negro,\ndi grandi, di chiqui,\ndi malo, di bueno.\n\nPues por los hijares\nhablando le vemos,\nR.\n\nCoplas\n1. Al huomo corcubatu\nen la prensa le meto\ne a catro o cinque volta\nil corpo li indereso,\nma l’anima si fuche,\nio non mi curo de eso.\n\nTal modo de curar\nes muy enfermo.\nAtengo me al Niño,\nque el yugo que ha puesto\nremedia los hombres\ny no tiene riesgo.\n\nEs máximo doctore il bambineto\n\n2. Al torto en la sua testa\nle formo un arbugero\ne un ochio di cristalo\nli encaco pur adentro,\nma si lusse sus echa,\nnon so qué faré in questo.\n\nEso es desentortar\ny quedar ciegos.\nSin eso peligro\nAmor ha dispuesto\nabrirnos los ojos\na nuestro remedio.\n\nCol sole qui a nasciuto, io lo credo.\n\n3. Senza dolore mio,\nio saco in un momento\nla mola e si la encia\nsi vene con el hierro\nio non riparo nunca\nen hoso más o menos.\n\nComo es la habilidad\nes el efecto:\nel Niño sí saca\nal hombre algún hueso\nes dándole esposa\nsu halago y consuelo.\n\nMa con serpente e poma il suo tormento.\n\n4. Feridas de la testa,\ndi collo, gamba e petto,\nmio bálsamo las cura\n'},
 ];
 
-for (const {languageCode, title, text} of examples) {
-    logTranslation(languageCode, title, text);
+if (require.main === module) {
+    // node tries--with-transliterator.js explain <language> <word>... traces the rules for rule authors,
+    // and node tries--with-transliterator.js lint [file...] checks rule files and maps
+    const [command, languageCode, ...words] = process.argv.slice(2);
+    if (command === 'explain') {
+        for (const word of words) logExplanation(languageCode, word);
+    } else if (command === 'lint') {
+        logLint(process.argv.slice(3));
+    } else {
+        for (const {languageCode, title, text} of examples) {
+            logTranslation(languageCode, title, text);
+        }
+    }
 }
 
 /**
@@ -838,3 +5913,27 @@ function escapeSsml(str) {
         .replace(/</ug, '')
         .replace(/>/ug, '');
 }
+
+module.exports = {
+    Transliterator,
+    TrieWordStepper,
+    TrieOrthographyStepper,
+    RuleProcessor,
+    Rule,
+    CompoundSplitter,
+    SuffixStripper,
+    FrenchLiaison,
+    HeteronymResolver,
+    EpitranImporter,
+    RuleLinter,
+    Syllabifier,
+    TextNormalizer,
+    Tokenizer,
+    UnicodeNormalizer,
+    CharNode,
+    variantStrategies,
+    numberSpellers,
+    dialects,
+    translate,
+    lintRuleFiles,
+};